@@ -8,16 +8,38 @@
  * - Local rendering via session.join() - avoids CSP iframe restrictions
  * - BYOP (Bring Your Own PIN) support
  * - Full session lifecycle management
+ * - Several concurrent sessions, one tab per customer with its own viewer,
+ *   status, elapsed time and leave control
+ * - Token refresh for sessions that outlive the SDK token
+ * - PIN check character validation as the PIN is typed
+ * - Automatic rejoin after an accidental page reload
+ * - Maximum session length warning
+ * - Lifecycle events for the host page: CobrowseAgent.on/off/once
+ * - Explicit session state (CobrowseAgent.getState) that refuses a second
+ *   join of the same PIN while one is in flight
+ * - Leaving tears down the local viewer, so the next customer can be
+ *   joined without reloading the page
+ * - Customer presence banner (active, away since, transferred) and an
+ *   activity timeline per session
+ * - Wrap-up form (disposition, notes, resolved) after each session
+ * - The customer's ticket, account, page and browser beside the viewer
  * 
  * Architecture:
  * - ZoomCobrowseAgentSDK.init() initializes the SDK with zoomAppRoot
+ *   (one viewer root per session)
  * - session.join() creates a local iframe and renders the viewer
- * - Event listeners handle session state changes
+ * - Event listeners handle session state changes and are routed to the
+ *   session's tab
  * 
  * @see https://developers.zoom.us/docs/cobrowse-sdk/
  */
 
 import { ZoomCobrowseAgentSDK } from '@zoom/cobrowsesdk/agent';
+import { createTokenManager, isAuthError } from '../shared/token-manager.js';
+import { validatePinCode } from '../shared/pin-code.js';
+import { createSessionTimeouts, TIMEOUT_REASONS } from '../shared/session-timeouts.js';
+import { createEventEmitter } from '../shared/event-emitter.js';
+import { createSessionState, AGENT_TRANSITIONS, AGENT_SDK_EVENTS } from '../shared/session-state.js';
 
 // =============================================================================
 // Configuration
@@ -27,15 +49,73 @@ const CONFIG = {
   /** Token server endpoint for JWT generation */
   TOKEN_SERVER_URL: '../token',
   
-  /** Your Cobrowse SDK Key from Zoom Marketplace */
-  SDK_KEY: 'YOUR_SDK_KEY_HERE',
+  /** Token refresh endpoint - renews the token for the same agent and PIN */
+  TOKEN_REFRESH_URL: '../token/refresh',
   
-  /** DOM selector where the viewer iframe will be rendered */
-  VIEWER_ROOT_SELECTOR: '#viewer-root',
+  /** PIN registry endpoint used to verify and claim PIN codes */
+  PIN_SERVER_URL: '../pins',
   
-  /** Zoom Cobrowse host (default for most regions) */
+  /** Server-Sent Events stream of customers waiting in the support queue */
+  QUEUE_EVENTS_URL: '../queue/events',
+  
+  /** Session event reporting endpoint (audit log) */
+  EVENTS_URL: '../events',
+  
+  /** Post-session wrap-up endpoint */
+  WRAPUP_URL: '../wrapups',
+  
+  /** Agent authentication endpoints */
+  LOGIN_URL: '../login',
+  LOGOUT_URL: '../logout',
+  ME_URL: '../me',
+  
+  /** Runtime client settings endpoint (SDK key, Zoom host, feature toggles) */
+  CLIENT_CONFIG_URL: '../config',
+  
+  /** Your Cobrowse SDK Key from Zoom Marketplace - loaded from CLIENT_CONFIG_URL */
+  SDK_KEY: null,
+  
+  /** PIN code length issued by the server, check character included - loaded from CLIENT_CONFIG_URL */
+  PIN_LENGTH: 8,
+  
+  /** Feature toggles - loaded from CLIENT_CONFIG_URL */
+  FEATURES: {
+    queue: true,
+    audit: true,
+  },
+  
+  /** DOM selectors of the session tab bar and of the container holding one viewer panel per session */
+  SESSION_TABS_SELECTOR: '#session-tabs',
+  SESSION_PANELS_SELECTOR: '#session-panels',
+  
+  /** Sessions an agent can have joined at once */
+  MAX_SESSIONS: 4,
+  
+  /** Wrap-up disposition codes ({ code, label }) - loaded from CLIENT_CONFIG_URL */
+  DISPOSITION_CODES: [],
+  
+  /** Default Zoom Cobrowse host - loaded from CLIENT_CONFIG_URL; the token's domain takes precedence */
   ZOOM_HOST: 'us01-zcb.zoom.us',
   
+  /** Session timeouts in seconds, 0 disables - loaded from CLIENT_CONFIG_URL */
+  TIMEOUTS: {
+    maxDuration: 7200,
+    warning: 60,
+  },
+  
+  /** sessionStorage key holding the PINs to rejoin after a reload */
+  RESUME_STORAGE_KEY: 'cobrowse.agent.session',
+  
+  /** Rejoin after reload: attempts and exponential backoff (ms) */
+  REJOIN: {
+    MAX_ATTEMPTS: 5,
+    BASE_DELAY: 1000,
+    MAX_DELAY: 15000,
+  },
+  
+  /** How long to wait for the SDK to confirm leaving before tearing down the viewer (ms) */
+  LEAVE_TIMEOUT: 3000,
+  
   /** Version identifier for debugging */
   VERSION: '1.0.2',
 };
@@ -44,8 +124,357 @@ const CONFIG = {
 // State
 // =============================================================================
 
-/** Current active session reference */
-let currentSession = null;
+/**
+ * Open sessions by PIN, in tab order. Each entry holds everything that
+ * belongs to one customer (see createSessionEntry()).
+ * @type {Map<string, object>}
+ */
+const sessions = new Map();
+
+/** PIN of the session in the foreground tab */
+let activePinCode = null;
+
+/** Timer updating the elapsed times of joined sessions */
+let elapsedTimer = null;
+
+/** Logged-in agent ({ id, name }), or null */
+let currentAgent = null;
+
+/** Support queue event stream while logged in */
+let queueEventSource = null;
+
+/** Latest support queue snapshot */
+let queueEntries = [];
+
+/** Timer refreshing the wait times shown in the queue */
+let queueRenderTimer = null;
+
+// =============================================================================
+// Lifecycle Events
+// =============================================================================
+
+/**
+ * Re-emits the lifecycle of every session to the host page
+ * (CobrowseAgent.on). Outlives the SDK session objects, so listeners
+ * survive rejoins. `pinCode` tells the sessions apart.
+ * 
+ * Events and their details, in addition to type, source, pinCode and
+ * timestamp (see shared/event-emitter.js):
+ * - joining: joinSession() was called with a valid PIN
+ * - rejoining: { attempt, maxAttempts } - rejoining after a reload
+ * - token_fetched: { userId, userName, region, expiresIn }
+ * - pin_claimed: The PIN is held by this agent
+ * - initializing: The SDK is being initialized
+ * - session_joined: The viewer is connected to the customer
+ * - token_refreshed: { expiresIn }
+ * - timeout_warning: { kind, deadline } - the session reaches its
+ *   maximum length at deadline
+ * - customer_focus_lost / customer_transferred: SDK payload fields
+ * - session_left: The agent left the session
+ * - session_ended: { reason }
+ * - session_error: { errorCode, errorMsg, fatal } - fatal errors ended or
+ *   prevented the join
+ * - customer_presence: { presence, since } - the customer is active,
+ *   away or transferred (see Customer Presence)
+ * - state_changed: { state, previous } - see Session State
+ * - session_focused: The session's tab was brought to the foreground
+ * - context_loaded / context_updated: { context } - the ticket/CRM
+ *   context from the customer page (see Session Context)
+ * - wrapup_submitted: { wrapUpId, disposition, resolved }
+ */
+const events = createEventEmitter({
+  source: 'agent',
+  getPinCode: () => activePinCode,
+  logPrefix: '[Agent]'
+});
+
+// =============================================================================
+// Session State
+// =============================================================================
+
+/**
+ * Creates the bookkeeping for one session, with its tab and viewer panel.
+ * 
+ * Each session has its own state machine (shared/session-state.js): idle,
+ * fetching_token, initializing, joining, connected, ending, ended or
+ * error. The tab, the panel and the queue's Join buttons follow it.
+ * 
+ * @param {string} pinCode - PIN of the session
+ * @returns {object} The session entry
+ */
+function createSessionEntry(pinCode) {
+  const entry = {
+    pinCode,
+    name: queueEntries.find((queued) => queued.pinCode === pinCode)?.name || null,
+    session: null,
+    tokenManager: null,
+    timeouts: null,
+    warningTimer: null,
+    joinedAt: null,
+    endedAt: null,
+    alert: null,
+    presence: createPresence(),
+    wrapUp: null,
+    context: null,
+    view: null
+  };
+  
+  entry.state = createSessionState({
+    transitions: AGENT_TRANSITIONS,
+    sdkEvents: AGENT_SDK_EVENTS,
+    onChange: (state, previous) => {
+      if (state === 'connected' && !entry.joinedAt) {
+        entry.joinedAt = Date.now();
+        addActivity(entry, 'Joined session');
+        setPresence(entry, 'active');
+      } else if (['ended', 'error'].includes(state) && entry.joinedAt) {
+        entry.endedAt = Date.now();
+        closePresence(entry);
+        reportSessionSummary(entry);
+        if (state === 'ended') {
+          showWrapUpForm(entry);
+        }
+      }
+      events.emit('state_changed', { pinCode, state, previous });
+      renderSessionTab(entry);
+      renderQueue();
+    },
+    logPrefix: `[Agent] ${pinCode}`
+  });
+  entry.view = createSessionView(entry);
+  setupWrapUpForm(entry);
+  
+  sessions.set(pinCode, entry);
+  startElapsedTimer();
+  return entry;
+}
+
+/**
+ * @returns {number} Sessions being joined or joined (ended and failed tabs do not count)
+ */
+function countActiveSessions() {
+  return [...sessions.values()].filter((entry) => !entry.state.isIdle()).length;
+}
+
+/**
+ * Checks whether the agent can join another session, or this PIN.
+ * @param {string} [pinCode] - PIN to join
+ * @returns {boolean}
+ */
+function canJoin(pinCode) {
+  const entry = pinCode && sessions.get(pinCode);
+  if (entry && !entry.state.isIdle()) {
+    return false;
+  }
+  return countActiveSessions() < CONFIG.MAX_SESSIONS;
+}
+
+// =============================================================================
+// Client Configuration
+// =============================================================================
+
+/** Pending or completed client configuration load */
+let configPromise = null;
+
+/**
+ * Loads the public client settings from the server and applies them to CONFIG.
+ * 
+ * Settings come from the server's environment, so the same bundle works for
+ * any SDK key or Zoom host without a rebuild. The result is cached; a
+ * failed load is retried on the next call.
+ * 
+ * @returns {Promise<object>} The applied CONFIG
+ * @throws {Error} If the settings cannot be loaded
+ */
+function loadClientConfig() {
+  if (!configPromise) {
+    configPromise = fetch(CONFIG.CLIENT_CONFIG_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Config fetch failed: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((config) => {
+        CONFIG.SDK_KEY = config.sdkKey;
+        CONFIG.ZOOM_HOST = config.zoomHost || CONFIG.ZOOM_HOST;
+        CONFIG.PIN_LENGTH = config.pinLength || CONFIG.PIN_LENGTH;
+        CONFIG.FEATURES = { ...CONFIG.FEATURES, ...config.features };
+        CONFIG.TIMEOUTS = { ...CONFIG.TIMEOUTS, ...config.timeouts };
+        CONFIG.DISPOSITION_CODES = config.dispositionCodes || CONFIG.DISPOSITION_CODES;
+        console.log('[Agent] Client config loaded');
+        return CONFIG;
+      })
+      .catch((error) => {
+        configPromise = null;
+        throw error;
+      });
+  }
+  return configPromise;
+}
+
+// =============================================================================
+// Agent Authentication
+// =============================================================================
+
+/**
+ * Logs the agent in. The server sets an HttpOnly session cookie that
+ * authorizes agent token requests and PIN claims from this page.
+ * 
+ * @param {string} username - Agent username
+ * @param {string} password - Agent password
+ * @returns {Promise<{id: string, name: string}>} The logged-in agent
+ * @throws {Error} If the credentials are rejected
+ */
+async function login(username, password) {
+  const response = await fetch(CONFIG.LOGIN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Login failed: ${response.status}`);
+  }
+  
+  setCurrentAgent(data.agent);
+  return data.agent;
+}
+
+/**
+ * Logs the agent out, leaving every open session first.
+ * @returns {Promise<void>}
+ */
+async function logout() {
+  clearResumeState();
+  await leaveAllSessions();
+  await fetch(CONFIG.LOGOUT_URL, { method: 'POST' });
+  setCurrentAgent(null);
+}
+
+/**
+ * Restores the logged-in agent from an existing session cookie.
+ * @returns {Promise<{id: string, name: string}|null>} The agent, or null
+ */
+async function fetchCurrentAgent() {
+  const response = await fetch(CONFIG.ME_URL);
+  const data = response.ok ? await response.json() : {};
+  setCurrentAgent(data.agent || null);
+  return currentAgent;
+}
+
+// =============================================================================
+// Support Queue
+// =============================================================================
+
+/**
+ * Subscribes to the live support queue over Server-Sent Events.
+ * 
+ * The server sends the full list of waiting customers on connect and
+ * whenever it changes (customer queued, PIN claimed, released or expired).
+ * The same stream carries the presence of the customers this agent is
+ * joined to (see Customer Presence) and updates to their context (see
+ * Session Context), so it is opened even when the queue feature is off.
+ * EventSource reconnects on its own if the connection drops.
+ */
+function subscribeQueue() {
+  if (queueEventSource) {
+    return;
+  }
+  
+  queueEventSource = new EventSource(CONFIG.QUEUE_EVENTS_URL);
+  
+  queueEventSource.addEventListener('queue', (event) => {
+    if (!CONFIG.FEATURES.queue) {
+      return;
+    }
+    queueEntries = JSON.parse(event.data);
+    console.log('[Agent] Queue updated:', queueEntries.length, 'waiting');
+    renderQueue();
+  });
+  
+  queueEventSource.addEventListener('presence', (event) => {
+    const { pinCode, presence } = JSON.parse(event.data);
+    const entry = sessions.get(pinCode);
+    if (entry?.state.state === 'connected') {
+      setPresence(entry, presence);
+    }
+  });
+  
+  queueEventSource.addEventListener('context', (event) => {
+    const { pinCode, context } = JSON.parse(event.data);
+    const entry = sessions.get(pinCode);
+    if (entry && !entry.state.isIdle()) {
+      setSessionContext(entry, context);
+    }
+  });
+  
+  queueEventSource.onerror = () => {
+    console.warn('[Agent] Queue stream interrupted, reconnecting...');
+  };
+  
+  if (CONFIG.FEATURES.queue) {
+    queueRenderTimer = setInterval(renderQueue, 30 * 1000);
+  }
+}
+
+/**
+ * Closes the support queue stream (on logout).
+ */
+function unsubscribeQueue() {
+  if (queueEventSource) {
+    queueEventSource.close();
+    queueEventSource = null;
+  }
+  clearInterval(queueRenderTimer);
+  queueRenderTimer = null;
+  queueEntries = [];
+  renderQueue();
+}
+
+/**
+ * Joins a waiting customer from the queue.
+ * Claiming the PIN in joinSession() removes the customer from the queue.
+ * 
+ * @param {string} pinCode - PIN of the queued customer
+ * @returns {Promise<void>}
+ */
+async function joinFromQueue(pinCode) {
+  const pinInput = document.getElementById('pin-code');
+  if (pinInput) {
+    pinInput.value = pinCode;
+  }
+  await joinSession(pinCode);
+}
+
+// =============================================================================
+// Audit Reporting
+// =============================================================================
+
+/**
+ * Reports a session lifecycle event to the server's audit log.
+ * The server attributes it to the logged-in agent.
+ * Best effort - a failed report never interrupts the session.
+ * 
+ * @param {string} pinCode - PIN of the session the event belongs to
+ * @param {string} event - Event name, e.g. 'session_joined'
+ * @param {object} [payload] - Event payload from the SDK
+ */
+function reportEvent(pinCode, event, payload) {
+  if (!CONFIG.FEATURES.audit) {
+    return;
+  }
+  
+  fetch(CONFIG.EVENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role: 2, pinCode, event, payload }),
+    keepalive: true
+  }).catch((error) => {
+    console.warn('[Agent] Failed to report event:', event, error);
+  });
+}
 
 // =============================================================================
 // Token Management
@@ -60,7 +489,12 @@ let currentSession = null;
  * - user_id: Unique identifier for the agent
  * - user_name: Display name for the agent
  * 
- * @returns {Promise<string>} The JWT token string
+ * Agent tokens are only issued to logged-in agents; user_id and user_name
+ * are taken from the agent's login on the server, and the Zoom region from
+ * the agent's account (or tenant).
+ * 
+ * @returns {Promise<{token: string, userId: string, userName: string, expiresIn: number, region: string, domain: string}>}
+ *   The token response
  * @throws {Error} If token fetch fails
  */
 async function fetchSdkToken() {
@@ -68,17 +502,223 @@ async function fetchSdkToken() {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      sdkKey: CONFIG.SDK_KEY,
       role: 2 // Agent role
     })
   });
   
+  if (response.status === 401) {
+    setCurrentAgent(null);
+    throw new Error('Agent login required');
+  }
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Token fetch failed: ${response.status}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Exchanges the current SDK token for a new one.
+ * 
+ * The server only renews the token while the agent is still logged in
+ * and still holds the claim on the PIN.
+ * 
+ * @param {string} token - The current (possibly just expired) token
+ * @param {string} pinCode - The claimed PIN the token is used for
+ * @returns {Promise<object>} The new token response (same shape as fetchSdkToken)
+ * @throws {Error} If the server refuses the refresh
+ */
+async function refreshSdkToken(token, pinCode) {
+  const response = await fetch(CONFIG.TOKEN_REFRESH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, pinCode })
+  });
+  
+  if (response.status === 401) {
+    setCurrentAgent(null);
+    throw new Error('Agent login required');
+  }
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Token refresh failed: ${response.status}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Hands a refreshed token to a session.
+ * 
+ * SDK builds that cannot swap the token mid-session keep running on the
+ * old one; when the session has already dropped because of the token
+ * (`rejoin`), the agent joins again with the new token instead.
+ * 
+ * @param {object} entry - The session entry
+ * @param {string} token - The new SDK token
+ * @param {boolean} [rejoin=false] - Re-join if the token cannot be swapped
+ */
+function resupplyToken(entry, token, rejoin = false) {
+  const session = entry.session;
+  if (!session) {
+    return;
+  }
+  
+  if (typeof session.updateToken === 'function') {
+    session.updateToken(token);
+    console.log(`[Agent] ${entry.pinCode}: Token re-supplied to the session`);
+  } else if (rejoin) {
+    console.log(`[Agent] ${entry.pinCode}: Re-joining with the new token`);
+    session.join({
+      pinCode: entry.pinCode,
+      sdkToken: token
+    }, ({ success, error }) => {
+      setSessionStatus(entry, success ? 'Rejoined session' : `Rejoin failed: ${error?.errorMsg || 'Unknown error'}`);
+    });
+  } else {
+    console.warn('[Agent] SDK cannot update the token of a running session');
+  }
+}
+
+/**
+ * Stops refreshing a session's token, if it has one.
+ * @param {object} entry - The session entry
+ */
+function stopTokenManager(entry) {
+  if (entry.tokenManager) {
+    entry.tokenManager.stop();
+    entry.tokenManager = null;
+  }
+}
+
+// =============================================================================
+// PIN Code Registry
+// =============================================================================
+
+/**
+ * Claims a PIN code in the server's PIN registry.
+ * 
+ * A PIN can only be claimed once, so this fails fast when the PIN is
+ * unknown, expired, already taken by another agent, or belongs to a
+ * customer in a different Zoom region - before the SDK is initialized
+ * and session.join() is attempted.
+ * 
+ * Claiming a PIN the agent already holds succeeds, so a reloaded page
+ * can rejoin.
+ * 
+ * @param {string} pinCode - PIN code from the customer
+ * @param {string} region - The agent's Zoom region (from the token response)
+ * @returns {Promise<object>} The PIN record
+ * @throws {Error} With the registry's reason (and HTTP `status`) if the claim is refused
+ */
+async function claimPinCode(pinCode, region) {
+  const response = await fetch(
+    `${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(pinCode)}/claim`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ region })
+    }
+  );
+  const data = await response.json().catch(() => ({}));
+  
   if (!response.ok) {
-    throw new Error(`Token fetch failed: ${response.status}`);
+    const error = new Error(data.error || `PIN claim failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
   
-  const data = await response.json();
-  return data.token;
+  return data;
+}
+
+/**
+ * Gives a claimed PIN code back to the registry so it can be joined again.
+ * @param {string} pinCode - The claimed PIN code
+ */
+function releasePinCode(pinCode) {
+  fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(pinCode)}/release`, {
+    method: 'POST',
+    keepalive: true
+  }).catch((error) => {
+    console.warn('[Agent] Failed to release PIN:', error);
+  });
+}
+
+/**
+ * Checks a PIN as typed against the configured length and its check
+ * character (see shared/pin-code.js).
+ * 
+ * @param {string} pinCode - PIN as typed (case, spaces and dashes are ignored)
+ * @returns {{status: 'incomplete'|'invalid'|'valid', pinCode: string, message: ?string}}
+ */
+function validatePin(pinCode) {
+  return validatePinCode(pinCode, CONFIG.PIN_LENGTH);
+}
+
+// =============================================================================
+// Session Resume
+// =============================================================================
+
+/**
+ * @returns {string[]} The PINs to rejoin after a reload
+ */
+function loadResumeState() {
+  let saved;
+  try {
+    saved = sessionStorage.getItem(CONFIG.RESUME_STORAGE_KEY);
+  } catch (error) {
+    return [];
+  }
+  if (!saved) {
+    return [];
+  }
+  try {
+    const pinCodes = JSON.parse(saved);
+    return Array.isArray(pinCodes) ? pinCodes : [];
+  } catch (error) {
+    // Saved by a version that joined a single session: the plain PIN
+    return [saved];
+  }
+}
+
+/**
+ * Stores the PINs to rejoin, or forgets them when there are none.
+ * @param {string[]} pinCodes - PINs of the joined sessions
+ */
+function writeResumeState(pinCodes) {
+  try {
+    if (pinCodes.length > 0) {
+      sessionStorage.setItem(CONFIG.RESUME_STORAGE_KEY, JSON.stringify(pinCodes));
+    } else {
+      sessionStorage.removeItem(CONFIG.RESUME_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[Agent] Could not save sessions for rejoin:', error);
+  }
+}
+
+/**
+ * Remembers a PIN this tab is joined to, so a reload can rejoin it.
+ * @param {string} pinCode - The claimed PIN
+ */
+function saveResumeState(pinCode) {
+  const pinCodes = loadResumeState();
+  if (!pinCodes.includes(pinCode)) {
+    writeResumeState([...pinCodes, pinCode]);
+  }
+}
+
+/**
+ * Forgets a PIN to rejoin, or all of them.
+ * @param {string} [pinCode] - The PIN to forget; all if omitted
+ */
+function clearResumeState(pinCode) {
+  writeResumeState(pinCode ? loadResumeState().filter((saved) => saved !== pinCode) : []);
 }
 
 // =============================================================================
@@ -86,15 +726,24 @@ async function fetchSdkToken() {
 // =============================================================================
 
 /**
- * Joins a Cobrowse session as an agent.
+ * Joins a Cobrowse session as an agent, in a tab of its own.
  * 
  * This method uses the NPM local rendering approach:
- * 1. Fetches SDK token from token server
- * 2. Initializes SDK with zoomAppRoot (required for local rendering)
- * 3. Registers event listeners
- * 4. Calls session.join() to render viewer locally
+ * 1. Loads the client configuration (SDK key) and checks the PIN's
+ *    check character
+ * 2. Fetches SDK token (and the agent's Zoom region) from token server;
+ *    the token is refreshed ahead of expiry while the session runs
+ * 3. Claims the PIN code in the PIN registry, checking the regions match
+ * 4. Initializes SDK with the session's own zoomAppRoot and the token's
+ *    Zoom domain
+ * 5. Registers event listeners
+ * 6. Calls session.join() to render viewer locally
+ * 
+ * Other sessions keep running in their tabs. The same PIN cannot be joined
+ * twice at once, and at most CONFIG.MAX_SESSIONS sessions can be open.
+ * Joining again from an ended or failed tab reuses that tab.
  * 
- * Note: This differs from createAgentViewerEndpoint() which returns a 
+ * Note: This differs from createAgentViewerEndpoint() which returns a
  * Zoom-hosted URL requiring CSP modifications.
  * 
  * @param {string} pinCode - 8-character PIN code from the customer
@@ -102,23 +751,89 @@ async function fetchSdkToken() {
  * @throws {Error} If initialization or join fails
  * 
  * @example
- * await joinSession('ABCD1234');
+ * await joinSession('ABCD2345');
  */
 async function joinSession(pinCode) {
+  // Step 1: Load runtime settings before touching the SDK
+  await loadClientConfig();
+  
+  // A mistyped PIN is caught by its check character - no server round trip
+  const validation = validatePin(pinCode);
+  if (validation.status !== 'valid') {
+    const message = validation.message || `PIN code should be ${CONFIG.PIN_LENGTH} characters`;
+    updateStatus(`Error: ${message}`);
+    throw new Error(message);
+  }
+  pinCode = validation.pinCode;
+  
+  // One join per PIN: a second click must not initialize the SDK again
+  let entry = sessions.get(pinCode);
+  if (entry && !entry.state.isIdle()) {
+    focusSession(pinCode);
+    throw new Error(`Cannot join session ${pinCode} while ${entry.state.state}`);
+  }
+  if (countActiveSessions() >= CONFIG.MAX_SESSIONS) {
+    const message = `Cannot join more than ${CONFIG.MAX_SESSIONS} sessions at once`;
+    updateStatus(message);
+    throw new Error(message);
+  }
+  
   console.log('[Agent] Joining session with PIN:', pinCode);
+  entry = entry || createSessionEntry(pinCode);
+  entry.joinedAt = null;
+  entry.endedAt = null;
+  entry.presence = createPresence();
+  entry.view.timeline.replaceChildren();
+  entry.wrapUp = null;
+  hideWrapUpForm(entry);
+  entry.context = null;
+  entry.view.context.replaceChildren('Loading...');
+  entry.state.transition('fetching_token');
+  events.emit('joining', { pinCode });
+  focusSession(pinCode);
+  setSessionStatus(entry, 'Joining...');
+  
+  let claimed = false;
   
   try {
-    // Step 1: Fetch SDK token
-    const sdkToken = await fetchSdkToken();
-    console.log('[Agent] Token received');
+    // Step 2: Fetch SDK token for the agent's region
+    stopTokenManager(entry);
+    entry.tokenManager = createTokenManager({
+      fetchToken: fetchSdkToken,
+      refreshToken: (token) => refreshSdkToken(token, pinCode),
+      onRefresh: ({ token, expiresIn }) => {
+        resupplyToken(entry, token);
+        events.emit('token_refreshed', { pinCode, expiresIn });
+      },
+      onError: () => setSessionStatus(entry, 'Session token could not be renewed'),
+      logPrefix: `[Agent] ${pinCode}`
+    });
+    const { token: sdkToken, userId, userName, region, domain, expiresIn } = await entry.tokenManager.fetch();
+    console.log('[Agent] Token received for region:', region);
+    events.emit('token_fetched', { pinCode, userId, userName, region, expiresIn });
+    
+    // Step 3: Claim the PIN so no other agent can take it
+    // (refused if the customer's region differs from the agent's)
+    const pin = await claimPinCode(pinCode, region);
+    claimed = true;
+    saveResumeState(pinCode);
+    console.log('[Agent] PIN claimed');
+    events.emit('pin_claimed', { pinCode });
+    
+    // The customer's ticket/CRM context, shown beside the viewer
+    loadSessionContext(entry);
     
-    // Step 2: Initialize SDK
-    // IMPORTANT: zoomAppRoot is required for NPM local rendering mode
+    // Step 4: Initialize SDK
+    // IMPORTANT: zoomAppRoot is required for NPM local rendering mode.
+    // Each session renders into its own panel's viewer root
+    // The Zoom host comes with the token so it always matches its region
+    entry.state.tryTransition('initializing');
+    events.emit('initializing', { pinCode });
     const initResult = await new Promise((resolve, reject) => {
       ZoomCobrowseAgentSDK.init({
         appKey: CONFIG.SDK_KEY,
-        zoomAppRoot: CONFIG.VIEWER_ROOT_SELECTOR,
-        zoomHostName: CONFIG.ZOOM_HOST
+        zoomAppRoot: `#${entry.view.viewer.id}`,
+        zoomHostName: domain || CONFIG.ZOOM_HOST
       }, ({ success, sdkInfo, session, error }) => {
         if (success) {
           resolve({ success, sdkInfo, session });
@@ -129,55 +844,276 @@ async function joinSession(pinCode) {
     });
     
     console.log('[Agent] SDK initialized');
-    currentSession = initResult.session;
+    const session = initResult.session;
+    entry.session = session;
     
-    // Step 3: Set up event listeners before joining
-    setupEventListeners(currentSession);
+    // Step 5: Set up event listeners before joining
+    setupEventListeners(entry, session);
     
-    // Step 4: Clear any placeholder content
-    clearViewerPlaceholder();
+    // Step 6: Clear anything left from an earlier session in this tab
+    entry.view.viewer.replaceChildren();
     
-    // Step 5: Join session
+    // Step 7: Join session
     // join() renders the viewer locally within zoomAppRoot
-    currentSession.join({
+    entry.state.tryTransition('joining');
+    session.join({
       pinCode: pinCode,
       sdkToken: sdkToken
     }, ({ success, error }) => {
+      // Left (or rejoined) while the join was in flight
+      if (session !== entry.session || entry.state.state === 'ending') {
+        return;
+      }
       if (success) {
         console.log('[Agent] Join successful');
-        updateStatus('Joined session');
+        entry.state.tryTransition('connected');
+        setSessionStatus(entry, 'Joined session');
+        startSessionTimeouts(entry, Date.parse(pin.createdAt));
       } else {
         console.error('[Agent] Join failed:', error);
-        updateStatus(`Join failed: ${error?.errorMsg || 'Unknown error'}`);
+        events.emit('session_error', { pinCode, errorCode: error?.errorCode ?? null, errorMsg: error?.errorMsg ?? null, fatal: true });
+        flagSession(entry, 'Join failed');
+        entry.state.tryTransition('error');
+        stopTokenManager(entry);
+        stopSessionTimeouts(entry);
+        clearResumeState(pinCode);
+        releasePinCode(pinCode);
+        teardownSession(entry);
+        setSessionStatus(entry, `Join failed: ${error?.errorMsg || 'Unknown error'}`);
       }
     });
-    
+  
   } catch (error) {
     console.error('[Agent] Error:', error);
-    updateStatus(`Error: ${error.message || 'Unknown error'}`);
+    events.emit('session_error', { pinCode, errorCode: error.status || null, errorMsg: error.message || null, fatal: true });
+    flagSession(entry, 'Join failed');
+    entry.state.tryTransition('error');
+    stopTokenManager(entry);
+    stopSessionTimeouts(entry);
+    clearResumeState(pinCode);
+    if (claimed) {
+      releasePinCode(pinCode);
+    }
+    teardownSession(entry);
+    setSessionStatus(entry, `Error: ${error.message || 'Unknown error'}`);
     throw error;
   }
 }
 
 /**
- * Leaves the current session.
- * Cleans up the session reference after leaving.
+ * Rejoins a session this tab was in before a reload.
+ * 
+ * Retries with exponential backoff (CONFIG.REJOIN) while failures look
+ * temporary. Gives up at once when the PIN is gone, expired or taken by
+ * another agent, and stops if the agent leaves or logs out meanwhile.
+ * 
+ * @param {string} pinCode - The PIN to rejoin
+ * @returns {Promise<boolean>} Whether the agent rejoined
+ */
+async function rejoinSession(pinCode) {
+  const { MAX_ATTEMPTS, BASE_DELAY, MAX_DELAY } = CONFIG.REJOIN;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    updateStatus(`Rejoining session ${pinCode} (attempt ${attempt}/${MAX_ATTEMPTS})...`);
+    events.emit('rejoining', { pinCode, attempt, maxAttempts: MAX_ATTEMPTS });
+    
+    try {
+      await joinSession(pinCode);
+      updateStatus(`Rejoined session ${pinCode}`);
+      return true;
+    } catch (error) {
+      // Refused by the registry: retrying will not help
+      const permanent = [400, 401, 403, 404, 409, 410].includes(error.status) || !currentAgent;
+      if (permanent || attempt === MAX_ATTEMPTS) {
+        updateStatus(`Could not rejoin session ${pinCode}: ${error.message}`);
+        return false;
+      }
+      
+      const delay = Math.min(BASE_DELAY * 2 ** (attempt - 1), MAX_DELAY);
+      updateStatus(`Rejoin of ${pinCode} failed (${error.message}) - retrying in ${Math.round(delay / 1000)}s`);
+      // joinSession() forgot the PIN on failure; keep it so a reload
+      // during the wait still rejoins
+      saveResumeState(pinCode);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      
+      if (!loadResumeState().includes(pinCode)) {
+        console.log('[Agent] Rejoin cancelled:', pinCode);
+        return false;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Leaves a session and tears down its viewer. The tab stays, showing how
+ * the session ended, until it is closed (closeSession()).
+ * 
+ * The PIN is released right away so another agent can pick the customer
+ * up. The SDK gets until it confirms with session_left (at most
+ * CONFIG.LEAVE_TIMEOUT) to leave cleanly; then the session is disposed of
+ * and its viewer emptied. The other sessions are not affected.
+ * 
+ * @param {string} [pinCode] - PIN of the session; the foreground tab's if omitted
+ * @returns {Promise<void>} Resolves once the viewer is torn down
  */
-function leaveSession() {
-  if (!currentSession) {
+async function leaveSession(pinCode = activePinCode) {
+  const entry = sessions.get(pinCode);
+  if (!entry?.session || entry.state.state === 'ending') {
     console.log('[Agent] No active session');
     return;
   }
   
-  console.log('[Agent] Leaving session...');
+  const session = entry.session;
   
-  if (typeof currentSession.leave === 'function') {
-    currentSession.leave();
-  } else if (typeof currentSession.end === 'function') {
-    currentSession.end();
+  console.log('[Agent] Leaving session:', pinCode);
+  entry.state.tryTransition('ending');
+  setSessionStatus(entry, 'Leaving session...');
+  stopTokenManager(entry);
+  stopSessionTimeouts(entry);
+  clearResumeState(pinCode);
+  
+  // Let another agent pick the customer up
+  releasePinCode(pinCode);
+  
+  const left = new Promise((resolve) => {
+    session.on('session_left', resolve);
+    session.on('session_ended', resolve);
+    setTimeout(resolve, CONFIG.LEAVE_TIMEOUT);
+  });
+  
+  try {
+    if (typeof session.leave === 'function') {
+      session.leave();
+    } else if (typeof session.end === 'function') {
+      session.end();
+    }
+  } catch (error) {
+    console.warn('[Agent] Leave failed, tearing down anyway:', error);
+  }
+  
+  await left;
+  teardownSession(entry);
+  entry.state.tryTransition('ended');
+  setSessionStatus(entry, 'Left session');
+  events.emit('session_left', { pinCode });
+}
+
+/**
+ * Removes the tab of a session that has ended or failed.
+ * 
+ * @param {string} [pinCode] - PIN of the session; the foreground tab's if omitted
+ * @returns {boolean} Whether the tab was closed (running sessions are left first)
+ */
+function closeSession(pinCode = activePinCode) {
+  const entry = sessions.get(pinCode);
+  if (!entry || !entry.state.isIdle()) {
+    return false;
+  }
+  
+  entry.view.tab.remove();
+  entry.view.panel.remove();
+  sessions.delete(pinCode);
+  
+  if (activePinCode === pinCode) {
+    activePinCode = null;
+    const next = [...sessions.keys()].pop();
+    if (next) {
+      focusSession(next);
+    }
+  }
+  if (sessions.size === 0) {
+    stopElapsedTimer();
+  }
+  renderSessionTabs();
+  renderQueue();
+  return true;
+}
+
+/**
+ * Leaves every running session and closes all tabs (on logout).
+ * @returns {Promise<void>}
+ */
+async function leaveAllSessions() {
+  await Promise.all([...sessions.keys()].map((pinCode) => leaveSession(pinCode)));
+  for (const pinCode of [...sessions.keys()]) {
+    closeSession(pinCode);
+  }
+}
+
+/**
+ * Disposes of a session's SDK session and empties its viewer root.
+ * 
+ * The SDK renders its viewer iframe into zoomAppRoot and keeps its own
+ * listeners on the session. SDK builds that can dispose of a session
+ * expose destroy(); for older ones, emptying the root removes the viewer.
+ * Events the old session still delivers are ignored (see
+ * setupEventListeners).
+ * 
+ * @param {object} entry - The session entry
+ */
+function teardownSession(entry) {
+  const session = entry.session;
+  entry.session = null;
+  
+  if (session && typeof session.destroy === 'function') {
+    try {
+      session.destroy();
+    } catch (error) {
+      console.warn('[Agent] Could not dispose of the SDK session:', error);
+    }
   }
   
-  currentSession = null;
+  entry.view.viewer.replaceChildren();
+  console.log(`[Agent] ${entry.pinCode}: Viewer torn down`);
+}
+
+// =============================================================================
+// Session Timeouts
+// =============================================================================
+
+/**
+ * Starts the maximum-duration clock (CONFIG.TIMEOUTS) for a joined
+ * session. The customer page enforces the same limit and ends the
+ * session; the agent is warned too and leaves when the time is up, in
+ * case the customer's page is no longer running.
+ * 
+ * @param {object} entry - The session entry
+ * @param {number} startedAt - When the customer's PIN was issued
+ */
+function startSessionTimeouts(entry, startedAt) {
+  const { pinCode } = entry;
+  stopSessionTimeouts(entry);
+  entry.timeouts = createSessionTimeouts({
+    maxDuration: CONFIG.TIMEOUTS.maxDuration,
+    warning: CONFIG.TIMEOUTS.warning,
+    onWarning: (kind, deadline) => {
+      showTimeoutWarning(entry, deadline);
+      addActivity(entry, 'Maximum session length warning');
+      events.emit('timeout_warning', { pinCode, kind, deadline });
+    },
+    onClear: () => hideTimeoutWarning(entry),
+    onTimeout: (kind) => {
+      console.log('[Agent] Session timed out:', pinCode, kind);
+      reportEvent(pinCode, 'session_timeout', { reason: TIMEOUT_REASONS[kind] });
+      leaveSession(pinCode).then(() => {
+        setSessionStatus(entry, 'Session ended: maximum session length reached');
+      });
+    }
+  });
+  entry.timeouts.sessionStarted(startedAt);
+}
+
+/**
+ * Stops a session's timeout clock, if any.
+ * @param {object} entry - The session entry
+ */
+function stopSessionTimeouts(entry) {
+  if (entry.timeouts) {
+    entry.timeouts.stop();
+    entry.timeouts = null;
+  }
+  hideTimeoutWarning(entry);
 }
 
 // =============================================================================
@@ -191,52 +1127,880 @@ function leaveSession() {
  * - session_joined: Agent successfully joined the session
  * - session_left: Agent left the session
  * - session_ended: Session was terminated
- * - session_error: An error occurred
+ * - session_error: An error occurred (auth errors trigger a token refresh)
  * - customer_focus_lost: Customer switched tabs/windows
  * - customer_transferred: Customer was transferred to another agent
  * 
+ * Every event is also reported to the server's audit log. Events are
+ * routed to the session's own tab; customer_focus_lost and session_error
+ * in a background tab flag it until the agent looks at it. Only events of
+ * the entry's current SDK session change the page and are re-emitted to
+ * the host page (see Lifecycle Events): a session being left or already
+ * torn down may still deliver events.
+ * 
+ * @param {object} entry - The session entry
  * @param {object} session - The session object from SDK initialization
  */
-function setupEventListeners(session) {
+function setupEventListeners(entry, session) {
+  const { pinCode } = entry;
+  const isActive = () => session === entry.session && entry.state.state !== 'ending';
+  
   // Session lifecycle events
   session.on('session_joined', (payload) => {
-    console.log('[Agent] Event: session_joined', payload);
-    updateStatus('Connected to customer');
+    console.log('[Agent] Event: session_joined', pinCode, payload);
+    reportEvent(pinCode, 'session_joined', payload);
+    if (!isActive()) {
+      return;
+    }
+    setSessionStatus(entry, 'Connected to customer');
+    entry.state.followSdkEvent('session_joined');
+    events.emit('session_joined', { pinCode });
   });
   
   session.on('session_left', (payload) => {
-    console.log('[Agent] Event: session_left', payload);
-    updateStatus('Left session');
-    currentSession = null;
+    console.log('[Agent] Event: session_left', pinCode, payload);
+    reportEvent(pinCode, 'session_left', payload);
+    if (!isActive()) {
+      return;
+    }
+    setSessionStatus(entry, 'Left session');
+    stopTokenManager(entry);
+    stopSessionTimeouts(entry);
+    clearResumeState(pinCode);
+    teardownSession(entry);
+    entry.state.followSdkEvent('session_left');
+    events.emit('session_left', { pinCode });
   });
   
   session.on('session_ended', (payload) => {
-    console.log('[Agent] Event: session_ended', payload);
-    updateStatus('Session ended');
-    currentSession = null;
+    console.log('[Agent] Event: session_ended', pinCode, payload);
+    reportEvent(pinCode, 'session_ended', payload);
+    if (!isActive()) {
+      return;
+    }
+    setSessionStatus(entry, 'Session ended');
+    stopTokenManager(entry);
+    stopSessionTimeouts(entry);
+    clearResumeState(pinCode);
+    teardownSession(entry);
+    entry.state.followSdkEvent('session_ended');
+    events.emit('session_ended', { pinCode, reason: payload?.reason || 'session_ended' });
   });
   
   session.on('session_error', (payload) => {
-    console.error('[Agent] Event: session_error', payload);
-    updateStatus(`Error: ${payload.errorMsg || 'Unknown error'}`);
+    console.error('[Agent] Event: session_error', pinCode, payload);
+    reportEvent(pinCode, 'session_error', payload);
+    if (!isActive()) {
+      return;
+    }
+    events.emit('session_error', { pinCode, errorCode: payload?.errorCode ?? null, errorMsg: payload?.errorMsg ?? null, fatal: false });
+    flagSession(entry, `Error: ${payload?.errorMsg || 'Unknown error'}`);
+    addActivity(entry, `Error: ${payload?.errorMsg || 'Unknown error'}`);
+    
+    // An expired or rejected token is fixed by renewing it
+    if (isAuthError(payload) && entry.tokenManager) {
+      setSessionStatus(entry, 'Renewing session token...');
+      // onRefresh already swapped the token if the SDK supports it
+      entry.tokenManager.refresh().then(({ token }) => {
+        if (typeof entry.session?.updateToken !== 'function') {
+          resupplyToken(entry, token, true);
+        }
+      }, () => {
+        setSessionStatus(entry, `Error: ${payload?.errorMsg || 'Unknown error'}`);
+      });
+      return;
+    }
+    
+    setSessionStatus(entry, `Error: ${payload?.errorMsg || 'Unknown error'}`);
   });
   
   // Customer events
   session.on('customer_focus_lost', (payload) => {
-    console.log('[Agent] Event: customer_focus_lost', payload);
+    console.log('[Agent] Event: customer_focus_lost', pinCode, payload);
+    reportEvent(pinCode, 'customer_focus_lost', payload);
+    if (isActive()) {
+      flagSession(entry, 'Customer switched away');
+      setPresence(entry, 'away');
+      events.emit('customer_focus_lost', { ...payload, pinCode });
+    }
   });
   
   session.on('customer_transferred', (payload) => {
-    console.log('[Agent] Event: customer_transferred', payload);
+    console.log('[Agent] Event: customer_transferred', pinCode, payload);
+    reportEvent(pinCode, 'customer_transferred', payload);
+    if (isActive()) {
+      setPresence(entry, 'transferred');
+      events.emit('customer_transferred', { ...payload, pinCode });
+    }
+  });
+}
+
+// =============================================================================
+// Customer Presence
+// =============================================================================
+
+/** Presence banner texts */
+const PRESENCE_LABELS = {
+  active: 'Customer is active',
+  away: 'Customer is away',
+  transferred: 'Customer was transferred'
+};
+
+/**
+ * @returns {object} Presence bookkeeping for a new join: the current
+ *   status (active, away or transferred) and since when, time away so far
+ *   and the activity timeline
+ */
+function createPresence() {
+  return {
+    status: null,
+    since: null,
+    awayMs: 0,
+    awayCount: 0,
+    closedAt: null,
+    timeline: []
+  };
+}
+
+/**
+ * Records where the customer is. The SDK reports customer_focus_lost and
+ * customer_transferred; the customer page reports leaving and coming back
+ * to its tab through the server (see subscribeQueue()). A transferred
+ * customer stays transferred.
+ *
+ * @param {object} entry - The session entry
+ * @param {'active'|'away'|'transferred'} status - Customer presence
+ */
+function setPresence(entry, status) {
+  const presence = entry.presence;
+  if (presence.closedAt || presence.status === status || presence.status === 'transferred') {
+    return;
+  }
+  
+  const now = Date.now();
+  if (presence.status === 'away') {
+    presence.awayMs += now - presence.since;
+  }
+  if (status === 'away') {
+    presence.awayCount++;
+  }
+  presence.status = status;
+  presence.since = now;
+  
+  addActivity(entry, PRESENCE_LABELS[status]);
+  renderPresence(entry);
+  events.emit('customer_presence', { pinCode: entry.pinCode, presence: status, since: now });
+}
+
+/**
+ * Stops the presence clock when the session is over, counting an open
+ * away period up to now.
+ * @param {object} entry - The session entry
+ */
+function closePresence(entry) {
+  const presence = entry.presence;
+  if (presence.closedAt) {
+    return;
+  }
+  presence.closedAt = Date.now();
+  if (presence.status === 'away') {
+    presence.awayMs += presence.closedAt - presence.since;
+  }
+  addActivity(entry, entry.state.state === 'error' ? 'Session failed' : 'Session ended');
+  renderPresence(entry);
+}
+
+/**
+ * Time-away statistics of a session, including an away period still open.
+ * @param {object} entry - The session entry
+ * @returns {{status: ?string, awayCount: number, awaySeconds: number, transferred: boolean}}
+ */
+function getPresenceSummary(entry) {
+  const presence = entry.presence;
+  const openAway = presence.status === 'away' && !presence.closedAt ? Date.now() - presence.since : 0;
+  return {
+    status: presence.status,
+    awayCount: presence.awayCount,
+    awaySeconds: Math.round((presence.awayMs + openAway) / 1000),
+    transferred: presence.status === 'transferred'
+  };
+}
+
+/**
+ * The agent's timings of a finished session and the customer's time away,
+ * as reported in session_summary and submitted with the wrap-up.
+ * @param {object} entry - The session entry
+ * @returns {{joinedAt: string, endedAt: string, durationSeconds: number, awayCount: number, awaySeconds: number, transferred: boolean}}
+ */
+function getSessionSummary(entry) {
+  const { status, ...presence } = getPresenceSummary(entry);
+  return {
+    joinedAt: new Date(entry.joinedAt).toISOString(),
+    endedAt: new Date(entry.endedAt).toISOString(),
+    durationSeconds: Math.round((entry.endedAt - entry.joinedAt) / 1000),
+    ...presence
+  };
+}
+
+/**
+ * Reports the session's timings and time-away statistics to the audit log
+ * once the agent's part of it is over.
+ * @param {object} entry - The session entry
+ */
+function reportSessionSummary(entry) {
+  reportEvent(entry.pinCode, 'session_summary', getSessionSummary(entry));
+}
+
+/**
+ * Adds a line to the session's activity timeline.
+ * @param {object} entry - The session entry
+ * @param {string} text - What happened
+ */
+function addActivity(entry, text) {
+  const item = { at: Date.now(), text };
+  entry.presence.timeline.push(item);
+  
+  const li = document.createElement('li');
+  const time = document.createElement('time');
+  time.dateTime = new Date(item.at).toISOString();
+  time.textContent = formatClock(item.at, true);
+  li.append(time, ` ${text}`);
+  entry.view.timeline.appendChild(li);
+  li.scrollIntoView?.({ block: 'nearest' });
+}
+
+/**
+ * Renders the presence banner: active, away since when (and for how long)
+ * or transferred; once the session is over, the total time away.
+ * @param {object} entry - The session entry
+ */
+function renderPresence(entry) {
+  const banner = entry.view.presence;
+  const presence = entry.presence;
+  if (!presence.status) {
+    banner.hidden = true;
+    return;
+  }
+  
+  const { awayCount, awaySeconds } = getPresenceSummary(entry);
+  const away = awayCount > 0
+    ? `away ${formatElapsed(awaySeconds * 1000)} in total (${awayCount}×)`
+    : 'never away';
+  let text;
+  if (presence.closedAt) {
+    text = `Session over - customer ${away}`;
+  } else if (presence.status === 'away') {
+    text = `Customer away since ${formatClock(presence.since)} (${formatElapsed(Date.now() - presence.since)})`;
+  } else if (presence.status === 'transferred') {
+    text = `Customer was transferred at ${formatClock(presence.since)}`;
+  } else {
+    text = awayCount > 0 ? `${PRESENCE_LABELS.active} - ${away}` : PRESENCE_LABELS.active;
+  }
+  
+  banner.dataset.presence = presence.closedAt ? 'closed' : presence.status;
+  banner.textContent = text;
+  banner.hidden = false;
+}
+
+/**
+ * Formats a time of day in the agent's locale, e.g. "14:05".
+ * @param {number} at - Timestamp (ms)
+ * @param {boolean} [seconds=false] - Include seconds
+ * @returns {string}
+ */
+function formatClock(at, seconds = false) {
+  return new Date(at).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(seconds ? { second: '2-digit' } : {})
+  });
+}
+
+// =============================================================================
+// Session Context
+// =============================================================================
+
+/** Labels of the browser details the customer page sends */
+const BROWSER_LABELS = {
+  language: 'Language',
+  platform: 'Platform',
+  screen: 'Screen',
+  viewport: 'Window',
+  timeZone: 'Time zone',
+  userAgent: 'User agent'
+};
+
+/**
+ * Fetches the ticket/CRM context the customer page attached to the PIN
+ * and shows it beside the viewer. Only the agent holding the PIN can read
+ * it, so this runs after the claim. Best effort - the session works
+ * without it.
+ * @param {object} entry - The session entry
+ */
+async function loadSessionContext(entry) {
+  try {
+    const response = await fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(entry.pinCode)}/context`);
+    if (!response.ok) {
+      throw new Error(`Context request failed: ${response.status}`);
+    }
+    const { context } = await response.json();
+    setSessionContext(entry, context);
+  } catch (error) {
+    console.warn(`[Agent] ${entry.pinCode}: Could not load session context:`, error);
+    entry.view.context.replaceChildren('Context unavailable');
+  }
+}
+
+/**
+ * Keeps the latest context of a session and renders it.
+ * @param {object} entry - The session entry
+ * @param {?object} context - Context from the server, null if none was attached
+ */
+function setSessionContext(entry, context) {
+  const first = !entry.context;
+  entry.context = context;
+  renderSessionContext(entry);
+  if (context) {
+    events.emit(first ? 'context_loaded' : 'context_updated', { pinCode: entry.pinCode, context });
+  }
+}
+
+/**
+ * Renders the context panel of a session: ticket, account, the page the
+ * customer is on, custom fields and browser. Everything comes from the
+ * customer page, so it is set as text; only http(s) page URLs become links.
+ * @param {object} entry - The session entry
+ */
+function renderSessionContext(entry) {
+  const container = entry.view.context;
+  const context = entry.context;
+  if (!context) {
+    container.replaceChildren('No context from the customer page');
+    return;
+  }
+  
+  const list = document.createElement('dl');
+  const addRow = (label, value) => {
+    if (value === null || value === undefined || value === '') {
+      return;
+    }
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    if (value instanceof Node) {
+      dd.appendChild(value);
+    } else {
+      dd.textContent = String(value);
+    }
+    list.append(dt, dd);
+  };
+  
+  addRow('Ticket', context.ticketNumber);
+  addRow('Account', context.accountId);
+  addRow('Page', context.pageUrl && formatPageUrl(context.pageUrl));
+  for (const [key, value] of Object.entries(context.custom || {})) {
+    addRow(key, value);
+  }
+  for (const [key, label] of Object.entries(BROWSER_LABELS)) {
+    addRow(label, context.browser?.[key]);
+  }
+  
+  container.replaceChildren(list);
+}
+
+/**
+ * @param {string} pageUrl - URL reported by the customer page
+ * @returns {Node|string} A link for http(s) URLs, the text otherwise
+ */
+function formatPageUrl(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (error) {
+    return pageUrl;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return pageUrl;
+  }
+  const link = document.createElement('a');
+  link.href = url.href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = pageUrl;
+  return link;
+}
+
+// =============================================================================
+// Wrap-Up
+// =============================================================================
+
+/**
+ * Asks for the wrap-up once the agent's part of a session is over
+ * (session_ended, session_left or leaveSession()): a disposition code
+ * from CONFIG.DISPOSITION_CODES, notes and whether the issue was resolved.
+ * The form replaces the emptied viewer in the session's panel.
+ * @param {object} entry - The session entry
+ */
+function showWrapUpForm(entry) {
+  const { wrapUp } = entry.view;
+  
+  wrapUp.disposition.replaceChildren(
+    new Option('Choose a disposition...', ''),
+    ...CONFIG.DISPOSITION_CODES.map(({ code, label }) => new Option(label, code))
+  );
+  wrapUp.notes.value = '';
+  wrapUp.resolved.checked = false;
+  wrapUp.error.textContent = '';
+  wrapUp.submitButton.disabled = false;
+  wrapUp.form.hidden = false;
+  
+  entry.wrapUp = 'pending';
+  flagSession(entry, 'Wrap-up needed');
+}
+
+/**
+ * Hides a session's wrap-up form.
+ * @param {object} entry - The session entry
+ */
+function hideWrapUpForm(entry) {
+  entry.view.wrapUp.form.hidden = true;
+}
+
+/**
+ * Submits the wrap-up of a finished session. The server stores it with the
+ * PIN, the logged-in agent and the session timings (getSessionSummary()).
+ *
+ * @param {string} pinCode - PIN of the session
+ * @param {object} wrapUp
+ * @param {string} wrapUp.disposition - One of CONFIG.DISPOSITION_CODES
+ * @param {string} [wrapUp.notes] - Free-text notes
+ * @param {boolean} wrapUp.resolved - Whether the customer's issue was resolved
+ * @returns {Promise<object>} The stored wrap-up
+ * @throws {Error} If the session has not ended or the server refuses the wrap-up
+ *
+ * @example
+ * await CobrowseAgent.submitWrapUp('ABCD2345', { disposition: 'resolved', notes: 'Reset password', resolved: true });
+ */
+async function submitWrapUp(pinCode, { disposition, notes = '', resolved }) {
+  const entry = sessions.get(pinCode);
+  if (!entry?.joinedAt || !entry.endedAt) {
+    throw new Error('Only a finished session can be wrapped up');
+  }
+  
+  const response = await fetch(CONFIG.WRAPUP_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pinCode,
+      disposition,
+      notes,
+      resolved,
+      session: getSessionSummary(entry)
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Wrap-up failed: ${response.status}`);
+  }
+  
+  entry.wrapUp = 'submitted';
+  hideWrapUpForm(entry);
+  addActivity(entry, `Wrap-up submitted: ${data.dispositionLabel || disposition}`);
+  setSessionStatus(entry, 'Wrap-up submitted');
+  events.emit('wrapup_submitted', { pinCode, wrapUpId: data.wrapUpId, disposition, resolved });
+  return data;
+}
+
+/**
+ * Wires up the wrap-up form of a session.
+ * @param {object} entry - The session entry
+ */
+function setupWrapUpForm(entry) {
+  const { pinCode } = entry;
+  const { form, disposition, notes, resolved, error, submitButton, skipButton } = entry.view.wrapUp;
+  
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (!disposition.value) {
+      error.textContent = 'Please choose a disposition';
+      return;
+    }
+    
+    error.textContent = '';
+    submitButton.disabled = true;
+    submitWrapUp(pinCode, {
+      disposition: disposition.value,
+      notes: notes.value,
+      resolved: resolved.checked
+    }).catch((submitError) => {
+      console.error('[Agent] Wrap-up failed:', submitError);
+      error.textContent = submitError.message;
+      submitButton.disabled = false;
+    });
+  });
+  
+  skipButton.addEventListener('click', () => {
+    entry.wrapUp = 'skipped';
+    hideWrapUpForm(entry);
+    addActivity(entry, 'Wrap-up skipped');
   });
 }
 
+// =============================================================================
+// Session Tabs
+// =============================================================================
+
+/**
+ * Builds the tab and the viewer panel of a session. The panel has its own
+ * viewer root (the SDK's zoomAppRoot), status, elapsed time, timeout
+ * warning and Leave/Close button. Customer-supplied names are set as
+ * text, never as HTML.
+ * 
+ * @param {object} entry - The session entry
+ * @returns {object} The elements the page updates
+ */
+function createSessionView(entry) {
+  const { pinCode } = entry;
+  const label = entry.name ? `${entry.name} · ${pinCode}` : pinCode;
+  
+  const tab = document.createElement('button');
+  tab.type = 'button';
+  tab.className = 'session-tab';
+  tab.id = `session-tab-${pinCode}`;
+  tab.setAttribute('role', 'tab');
+  tab.setAttribute('aria-controls', `session-panel-${pinCode}`);
+  tab.addEventListener('click', () => focusSession(pinCode));
+  
+  const tabLabel = document.createElement('span');
+  tabLabel.className = 'session-tab-label';
+  tabLabel.textContent = label;
+  
+  const tabElapsed = document.createElement('span');
+  tabElapsed.className = 'session-tab-elapsed';
+  
+  tab.append(tabLabel, tabElapsed);
+  
+  const panel = document.createElement('section');
+  panel.className = 'session-panel';
+  panel.id = `session-panel-${pinCode}`;
+  panel.setAttribute('role', 'tabpanel');
+  panel.setAttribute('aria-labelledby', tab.id);
+  
+  const header = document.createElement('div');
+  header.className = 'session-header';
+  
+  const title = document.createElement('span');
+  title.className = 'session-title';
+  title.textContent = label;
+  
+  const status = document.createElement('span');
+  status.className = 'session-status';
+  
+  const elapsed = document.createElement('span');
+  elapsed.className = 'session-elapsed';
+  
+  const leaveButton = document.createElement('button');
+  leaveButton.type = 'button';
+  leaveButton.className = 'btn btn-danger';
+  leaveButton.addEventListener('click', () => {
+    if (entry.state.isIdle()) {
+      closeSession(pinCode);
+    } else {
+      leaveSession(pinCode).catch((error) => {
+        console.error('[Agent] Failed to leave session:', error);
+      });
+    }
+  });
+  
+  header.append(title, status, elapsed, leaveButton);
+  
+  // Shown shortly before the session reaches its maximum length
+  const warning = document.createElement('div');
+  warning.className = 'timeout-warning';
+  warning.setAttribute('role', 'alert');
+  warning.hidden = true;
+  
+  // Customer active / away since / transferred
+  const presence = document.createElement('div');
+  presence.className = 'presence-banner';
+  presence.setAttribute('role', 'status');
+  presence.hidden = true;
+  
+  const body = document.createElement('div');
+  body.className = 'session-body';
+  
+  // Viewer Root - SDK renders iframe here
+  const viewer = document.createElement('div');
+  viewer.className = 'viewer-root';
+  viewer.id = `viewer-root-${pinCode}`;
+  
+  const sidebar = document.createElement('aside');
+  sidebar.className = 'session-sidebar';
+  
+  // Ticket/CRM context from the customer page (see Session Context)
+  const contextTitle = document.createElement('h3');
+  contextTitle.textContent = 'Customer context';
+  
+  const context = document.createElement('div');
+  context.className = 'session-context';
+  
+  const timelineTitle = document.createElement('h3');
+  timelineTitle.textContent = 'Activity';
+  
+  const timeline = document.createElement('ol');
+  timeline.className = 'session-timeline';
+  
+  sidebar.append(contextTitle, context, timelineTitle, timeline);
+  const wrapUp = createWrapUpForm(pinCode);
+  body.append(viewer, wrapUp.form, sidebar);
+  panel.append(header, warning, presence, body);
+  
+  document.querySelector(CONFIG.SESSION_TABS_SELECTOR)?.appendChild(tab);
+  document.querySelector(CONFIG.SESSION_PANELS_SELECTOR)?.appendChild(panel);
+  
+  return { tab, tabElapsed, panel, status, elapsed, warning, presence, viewer, sidebar, context, timeline, wrapUp, leaveButton };
+}
+
+/**
+ * Builds the (hidden) wrap-up form of a session panel.
+ * @param {string} pinCode - PIN of the session
+ * @returns {object} The form and its fields
+ */
+function createWrapUpForm(pinCode) {
+  const form = document.createElement('form');
+  form.className = 'wrapup-form';
+  form.hidden = true;
+  
+  const title = document.createElement('h3');
+  title.textContent = `Wrap up session ${pinCode}`;
+  
+  const disposition = document.createElement('select');
+  disposition.required = true;
+  disposition.setAttribute('aria-label', 'Disposition');
+  
+  const notes = document.createElement('textarea');
+  notes.rows = 4;
+  notes.placeholder = 'Notes';
+  notes.maxLength = 2000;
+  
+  const resolvedLabel = document.createElement('label');
+  const resolved = document.createElement('input');
+  resolved.type = 'checkbox';
+  resolvedLabel.append(resolved, ' Issue resolved');
+  
+  const error = document.createElement('div');
+  error.className = 'wrapup-error';
+  error.setAttribute('role', 'alert');
+  
+  const actions = document.createElement('div');
+  actions.className = 'wrapup-actions';
+  
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'btn btn-primary';
+  submitButton.textContent = 'Submit';
+  
+  const skipButton = document.createElement('button');
+  skipButton.type = 'button';
+  skipButton.className = 'btn btn-secondary';
+  skipButton.textContent = 'Skip';
+  
+  actions.append(submitButton, skipButton);
+  form.append(title, disposition, notes, resolvedLabel, error, actions);
+  
+  return { form, disposition, notes, resolved, error, submitButton, skipButton };
+}
+
+/**
+ * Brings a session's tab to the foreground and clears its alert. The
+ * other viewers stay rendered (and connected) in the background.
+ * @param {string} pinCode - PIN of the session
+ */
+function focusSession(pinCode) {
+  const entry = sessions.get(pinCode);
+  if (!entry) {
+    return;
+  }
+  
+  const changed = activePinCode !== pinCode;
+  activePinCode = pinCode;
+  entry.alert = null;
+  renderSessionTabs();
+  
+  if (changed) {
+    events.emit('session_focused', { pinCode });
+  }
+}
+
+/**
+ * Flags a session that needs the agent's attention while another tab is
+ * in the foreground.
+ * @param {object} entry - The session entry
+ * @param {string} reason - Shown as the tab's tooltip
+ */
+function flagSession(entry, reason) {
+  if (entry.pinCode === activePinCode) {
+    return;
+  }
+  entry.alert = reason;
+  renderSessionTab(entry);
+}
+
+/**
+ * Updates a session's status line.
+ * @param {object} entry - The session entry
+ * @param {string} message - Status message to display
+ */
+function setSessionStatus(entry, message) {
+  entry.view.status.textContent = message;
+  console.log(`[Agent] ${entry.pinCode} Status:`, message);
+}
+
+/**
+ * Renders every tab, the tab bar and the placeholder shown without sessions.
+ */
+function renderSessionTabs() {
+  for (const entry of sessions.values()) {
+    renderSessionTab(entry);
+  }
+  
+  const tabs = document.querySelector(CONFIG.SESSION_TABS_SELECTOR);
+  if (tabs) {
+    tabs.hidden = sessions.size === 0;
+  }
+  
+  const placeholder = document.querySelector(`${CONFIG.SESSION_PANELS_SELECTOR} .viewer-placeholder`);
+  if (placeholder) {
+    placeholder.hidden = sessions.size > 0;
+  }
+}
+
+/**
+ * Renders a session's tab and panel header from its state.
+ * @param {object} entry - The session entry
+ */
+function renderSessionTab(entry) {
+  const { view } = entry;
+  const state = entry.state.state;
+  const active = entry.pinCode === activePinCode;
+  
+  view.tab.dataset.state = state;
+  view.tab.classList.toggle('active', active);
+  view.tab.classList.toggle('alert', Boolean(entry.alert));
+  view.tab.setAttribute('aria-selected', String(active));
+  view.tab.title = entry.alert || state;
+  view.panel.classList.toggle('active', active);
+  
+  view.leaveButton.textContent = entry.state.isIdle() ? 'Close' : 'Leave';
+  view.leaveButton.disabled = !['joining', 'connected', 'ended', 'error'].includes(state);
+  
+  renderElapsed(entry);
+}
+
+/**
+ * Shows how long the agent has been connected to a session.
+ * @param {object} entry - The session entry
+ */
+function renderElapsed(entry) {
+  const text = entry.joinedAt ? formatElapsed((entry.endedAt || Date.now()) - entry.joinedAt) : '';
+  entry.view.elapsed.textContent = text;
+  entry.view.tabElapsed.textContent = text;
+}
+
+/**
+ * Formats a duration as "m:ss", or "h:mm:ss" from an hour on.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Ticks the elapsed and away times while any tab is open.
+ */
+function startElapsedTimer() {
+  if (!elapsedTimer) {
+    elapsedTimer = setInterval(() => {
+      sessions.forEach((entry) => {
+        renderElapsed(entry);
+        renderPresence(entry);
+      });
+    }, 1000);
+  }
+}
+
+/**
+ * Stops the elapsed time ticker once the last tab is closed.
+ */
+function stopElapsedTimer() {
+  clearInterval(elapsedTimer);
+  elapsedTimer = null;
+}
+
 // =============================================================================
 // UI Helpers
 // =============================================================================
 
 /**
- * Updates the status display in the UI.
+ * Gives live feedback on the PIN input: the field turns red as soon as a
+ * character cannot be part of a PIN or the check character does not
+ * match, and green once the PIN is complete and valid.
+ * @param {HTMLInputElement} pinInput - The #pin-code input
+ */
+function setupPinInput(pinInput) {
+  const feedbackEl = document.getElementById('pin-feedback');
+  
+  pinInput.addEventListener('input', () => {
+    const { status, message } = validatePin(pinInput.value);
+    pinInput.classList.toggle('pin-valid', status === 'valid');
+    pinInput.classList.toggle('pin-invalid', status === 'invalid');
+    if (feedbackEl) {
+      feedbackEl.textContent = message || '';
+    }
+  });
+}
+
+/**
+ * Shows the maximum-duration warning in a session's panel with a live
+ * countdown.
+ * @param {object} entry - The session entry
+ * @param {number} deadline - When the session ends (ms timestamp)
+ */
+function showTimeoutWarning(entry, deadline) {
+  const warningEl = entry.view.warning;
+  
+  const render = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    warningEl.textContent = `This session reaches its maximum length and ends in ${seconds}s`;
+  };
+  
+  clearInterval(entry.warningTimer);
+  render();
+  entry.warningTimer = setInterval(render, 1000);
+  warningEl.hidden = false;
+}
+
+/**
+ * Hides a session's timeout warning.
+ * @param {object} entry - The session entry
+ */
+function hideTimeoutWarning(entry) {
+  clearInterval(entry.warningTimer);
+  entry.warningTimer = null;
+  entry.view.warning.hidden = true;
+}
+
+/**
+ * Updates the page-wide status display in the UI. Each session's own
+ * status is shown in its panel (setSessionStatus()).
  * @param {string} message - Status message to display
  */
 function updateStatus(message) {
@@ -248,13 +2012,101 @@ function updateStatus(message) {
 }
 
 /**
- * Clears the placeholder content from the viewer root.
- * Called before join() to ensure clean rendering.
+ * Records the logged-in agent and toggles the login panel.
+ * @param {{id: string, name: string}|null} agent - Logged-in agent or null
  */
-function clearViewerPlaceholder() {
-  const placeholder = document.querySelector('.viewer-placeholder');
-  if (placeholder) {
-    placeholder.remove();
+function setCurrentAgent(agent) {
+  currentAgent = agent;
+  
+  if (agent) {
+    subscribeQueue();
+  } else {
+    unsubscribeQueue();
+  }
+  
+  const loginPanel = document.getElementById('login-panel');
+  if (loginPanel) {
+    loginPanel.style.display = agent ? 'none' : 'flex';
+  }
+  
+  const agentInfo = document.getElementById('agent-info');
+  if (agentInfo) {
+    agentInfo.style.display = agent ? 'flex' : 'none';
+  }
+  
+  const agentName = document.getElementById('agent-name');
+  if (agentName) {
+    agentName.textContent = agent ? agent.name : '';
+  }
+}
+
+/**
+ * Formats how long a customer has been waiting, e.g. "4m" or "1h 5m".
+ * @param {string} since - ISO timestamp the wait started
+ * @returns {string} Human-readable wait time
+ */
+function formatWaitTime(since) {
+  const minutes = Math.max(0, Math.floor((Date.now() - Date.parse(since)) / 60000));
+  if (minutes < 1) {
+    return '<1m';
+  }
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Renders the waiting customers into the queue panel.
+ * Customer-supplied values are set as text, never as HTML.
+ */
+function renderQueue() {
+  const list = document.getElementById('queue-list');
+  const count = document.getElementById('queue-count');
+  if (!list) {
+    return;
+  }
+  
+  if (count) {
+    count.textContent = String(queueEntries.length);
+  }
+  
+  list.replaceChildren();
+  
+  if (queueEntries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'queue-empty';
+    empty.textContent = 'No customers waiting';
+    list.appendChild(empty);
+    return;
+  }
+  
+  for (const entry of queueEntries) {
+    const item = document.createElement('li');
+    item.className = 'queue-item';
+    
+    const name = document.createElement('div');
+    name.className = 'queue-name';
+    name.textContent = entry.name;
+    
+    const meta = document.createElement('div');
+    meta.className = 'queue-meta';
+    meta.textContent = `Waiting ${formatWaitTime(entry.waitingSince)} · ${entry.pinCode}`;
+    
+    const page = document.createElement('div');
+    page.className = 'queue-page';
+    page.textContent = entry.pageUrl;
+    page.title = entry.pageUrl;
+    
+    const joinButton = document.createElement('button');
+    joinButton.className = 'btn btn-primary';
+    joinButton.textContent = 'Join';
+    joinButton.disabled = !canJoin(entry.pinCode);
+    joinButton.addEventListener('click', () => {
+      joinFromQueue(entry.pinCode).catch((error) => {
+        console.error('[Agent] Failed to join from queue:', error);
+      });
+    });
+    
+    item.append(name, meta, page, joinButton);
+    list.appendChild(item);
   }
 }
 
@@ -263,15 +2115,49 @@ function clearViewerPlaceholder() {
 // =============================================================================
 
 /**
- * Exposed API for use in HTML event handlers.
+ * Exposed API for use in HTML event handlers and host pages.
+ * 
+ * Functions taking an optional PIN act on the foreground tab without one.
  * 
  * @example
  * // In HTML:
  * <button onclick="CobrowseAgent.joinSession('ABCD1234')">Join</button>
+ * 
+ * @example
+ * // React to the session from the host page (see Lifecycle Events)
+ * CobrowseAgent.on('session_ended', ({ pinCode, reason }) => openWrapUp(pinCode, reason));
  */
 window.CobrowseAgent = {
+  on: events.on,
+  off: events.off,
+  once: events.once,
+  login,
+  logout,
   joinSession,
-  getSession: () => currentSession,
+  leaveSession,
+  closeSession,
+  focusSession,
+  submitWrapUp,
+  joinFromQueue,
+  validatePin,
+  canJoin,
+  getQueue: () => queueEntries,
+  getSessions: () => [...sessions.values()].map((entry) => ({
+    pinCode: entry.pinCode,
+    name: entry.name,
+    state: entry.state.state,
+    joinedAt: entry.joinedAt,
+    alert: entry.alert,
+    presence: getPresenceSummary(entry),
+    wrapUp: entry.wrapUp,
+    context: entry.context
+  })),
+  getContext: (pinCode = activePinCode) => sessions.get(pinCode)?.context || null,
+  getActivity: (pinCode = activePinCode) => [...(sessions.get(pinCode)?.presence.timeline || [])],
+  getSession: (pinCode = activePinCode) => sessions.get(pinCode)?.session || null,
+  getState: (pinCode = activePinCode) => sessions.get(pinCode)?.state.state || 'idle',
+  getActivePinCode: () => activePinCode,
+  getAgent: () => currentAgent,
   CONFIG
 };
 
@@ -282,5 +2168,30 @@ window.CobrowseAgent = {
 document.addEventListener('DOMContentLoaded', () => {
   console.log(`[Agent] Cobrowse Agent SDK Sample v${CONFIG.VERSION}`);
   console.log('[Agent] Mode: NPM local rendering');
-  updateStatus('Ready');
-});
\ No newline at end of file
+  
+  loadClientConfig()
+    .then(() => {
+      const pinInput = document.getElementById('pin-code');
+      if (pinInput) {
+        // Room for a separator such as "ABCD-2345"
+        pinInput.maxLength = CONFIG.PIN_LENGTH + 2;
+        setupPinInput(pinInput);
+      }
+      return fetchCurrentAgent();
+    })
+    .then(async (agent) => {
+      // After a reload, rejoin the sessions this tab was in, one at a time
+      const pinCodes = loadResumeState();
+      if (!agent || pinCodes.length === 0) {
+        updateStatus(agent ? 'Ready' : 'Please log in');
+        return;
+      }
+      for (const pinCode of pinCodes) {
+        await rejoinSession(pinCode);
+      }
+    })
+    .catch((error) => {
+      console.error('[Agent] Startup failed:', error);
+      updateStatus(`Error: ${error.message}`);
+    });
+});
@@ -6,8 +6,20 @@
  * 
  * Key Features:
  * - NPM-based SDK integration
- * - Custom PIN code generation (BYOP mode)
+ * - Server-issued PIN codes (BYOP mode)
  * - Full session lifecycle management
+ * - Token refresh for sessions that outlive the SDK token
+ * - Consent prompt before sharing, recorded on the server
+ * - On-page indicator with "stop sharing" while an agent is connected
+ * - Server-managed PII masking policy, with a local preview mode
+ * - Session resume after a page reload or navigation
+ * - No-agent, idle and maximum-duration timeouts with warnings
+ * - Embeddable: configure() points it at another server, UI root and
+ *   language (see widget.js)
+ * - Lifecycle events for the host page: CobrowseCustomer.on/off/once
+ * - Explicit session state (CobrowseCustomer.getState) that refuses a
+ *   second start while one is in progress
+ * - Ticket/CRM context for the agent (CobrowseCustomer.setContext)
  * 
  * Architecture:
  * - ZoomCobrowseSDK.init() initializes the SDK
@@ -18,6 +30,10 @@
  */
 
 import { ZoomCobrowseSDK } from '@zoom/cobrowsesdk/customer';
+import { createTokenManager, isAuthError } from '../shared/token-manager.js';
+import { createSessionTimeouts, TIMEOUT_REASONS } from '../shared/session-timeouts.js';
+import { createEventEmitter } from '../shared/event-emitter.js';
+import { createSessionState, CUSTOMER_TRANSITIONS, CUSTOMER_SDK_EVENTS } from '../shared/session-state.js';
 
 // =============================================================================
 // Configuration
@@ -27,16 +43,133 @@ const CONFIG = {
   /** Token server endpoint for JWT generation */
   TOKEN_SERVER_URL: '../token',
   
-  /** Your Cobrowse SDK Key from Zoom Marketplace */
-  SDK_KEY: 'YOUR_SDK_KEY_HERE',
+  /** Token refresh endpoint - renews the token for the same identity and PIN */
+  TOKEN_REFRESH_URL: '../token/refresh',
   
-  /** PIN code length for BYOP mode */
+  /** PIN registry endpoint that issues and tracks BYOP PIN codes */
+  PIN_SERVER_URL: '../pins',
+  
+  /** Support queue endpoint - lists the customer for waiting agents */
+  QUEUE_URL: '../queue',
+  
+  /** Session event reporting endpoint (audit log) */
+  EVENTS_URL: '../events',
+  
+  /** Consent recording endpoint */
+  CONSENT_URL: '../consents',
+  
+  /** Runtime client settings endpoint (SDK key, feature toggles) */
+  CLIENT_CONFIG_URL: '../config',
+  
+  /** PII masking policy endpoint - masking rules per page and tenant */
+  PII_POLICY_URL: '../pii-policy',
+  
+  /** Your Cobrowse SDK Key from Zoom Marketplace - loaded from CLIENT_CONFIG_URL */
+  SDK_KEY: null,
+  
+  /** PIN code length used by the server - loaded from CLIENT_CONFIG_URL */
   PIN_LENGTH: 8,
   
+  /** PII masking options passed to init() - built from the PII policy */
+  PII_MASK: {
+    maskType: 'custom_input',
+    maskCssSelectors: '.hideme',
+  },
+  
+  /** Feature toggles - loaded from CLIENT_CONFIG_URL */
+  FEATURES: {
+    queue: true,
+    audit: true,
+  },
+  
+  /** Session timeouts in seconds, 0 disables - loaded from CLIENT_CONFIG_URL */
+  TIMEOUTS: {
+    noAgent: 900,
+    idle: 600,
+    maxDuration: 7200,
+    warning: 60,
+  },
+  
+  /** Consent policy the customer agrees to - loaded from CLIENT_CONFIG_URL */
+  CONSENT: {
+    policyVersion: '1',
+    policyUrl: null,
+  },
+  
+  /** sessionStorage key holding the session to resume after a reload */
+  RESUME_STORAGE_KEY: 'cobrowse.customer.session',
+  
+  /** Milliseconds to wait for the SDK to confirm session.end() before ending locally */
+  END_TIMEOUT: 3000,
+  
+  /** Base URL of the cobrowse server; endpoint URLs are relative to it (null: this page's server) */
+  SERVER_URL: null,
+  
   /** Version identifier for debugging */
   VERSION: '1.0.2',
 };
 
+/** Endpoint URLs as written above, resolved against SERVER_URL by configure() */
+const ENDPOINT_PATHS = Object.fromEntries(
+  Object.entries(CONFIG).filter(([key]) => key.endsWith('_URL') && key !== 'SERVER_URL')
+);
+
+// =============================================================================
+// Messages
+// =============================================================================
+
+/** User-facing texts (English); configure({ messages }) overrides them */
+const MESSAGES = {
+  ready: 'Ready',
+  configFailed: 'Error: could not load configuration',
+  error: 'Error: {message}',
+  unknownError: 'Unknown error',
+  sharingCancelled: 'Sharing cancelled',
+  waitingForAgent: 'Session started - waiting for agent',
+  stillWaiting: 'Still waiting for an agent',
+  agentJoined: 'Agent joined the session',
+  agentLeft: 'Agent left the session',
+  anAgent: 'An agent',
+  sessionEnded: 'Session ended',
+  sessionTimedOut: 'Session ended (timed out)',
+  resuming: 'Resuming session...',
+  resumeFailed: 'Previous session could not be resumed',
+  renewingToken: 'Renewing session token...',
+  tokenRenewed: 'Session token renewed',
+  tokenRenewFailed: 'Session token could not be renewed',
+  tokenUnsupported: 'Session ended: the session token could not be renewed',
+  sharedTab: 'This browser tab as you see it, including other pages of this site you open',
+  sharedPointer: 'Your scrolling, mouse pointer and clicks',
+  sharedTyping: 'Text you type into fields that are not masked',
+  maskedAllInput: 'Everything you type into form fields',
+  maskedField: 'A protected field',
+  maskedArea: 'A protected area of the page',
+  maskedNothing: 'Nothing on this page is masked',
+  consentConfirm: 'An agent will be able to see:\n- {shared}\n\nHidden from the agent:\n- {masked}\n\nShare this page? (policy version {version})',
+  consentPolicy: 'Policy version {version}',
+  consentPolicyLink: 'Read the full policy',
+  timeoutNoAgent: 'No agent has joined yet',
+  timeoutIdle: 'No agent is connected',
+  timeoutMaxDuration: 'This session has reached its maximum length',
+  timeoutSoon: '{message} - the session will end soon',
+  timeoutCountdown: '{message} - the session ends in {seconds}s',
+  piiPreview: 'PII preview (policy {version})',
+};
+
+/** Messages in use */
+let messages = MESSAGES;
+
+/**
+ * Looks up a user-facing text and fills in its {placeholders}.
+ * @param {string} key - Message key in MESSAGES
+ * @param {object} [params] - Placeholder values
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const template = messages[key] ?? MESSAGES[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
 // =============================================================================
 // State
 // =============================================================================
@@ -44,6 +177,177 @@ const CONFIG = {
 /** Current active session reference */
 let currentSession = null;
 
+/** PIN code issued for the current session */
+let currentPinCode = null;
+
+/** Identity signed into the current token */
+let currentUserId = null;
+let currentUserName = null;
+
+/** Keeps the current session's SDK token fresh */
+let tokenManager = null;
+
+/** Tenant the current session was started for (selects PII rules on resume) */
+let currentTenant = null;
+
+/** No-agent, idle and maximum-duration clocks of the current session */
+let sessionTimeouts = null;
+
+/** Countdown shown while a timeout warning is up */
+let timeoutWarningTimer = null;
+
+/** Why the current session is being ended, reported with session_ended */
+let pendingEndReason = null;
+
+// =============================================================================
+// Lifecycle Events
+// =============================================================================
+
+/**
+ * Re-emits the session lifecycle to the host page (CobrowseCustomer.on).
+ * Outlives the SDK session object, so listeners survive session restarts.
+ * 
+ * Events and their details, in addition to type, source, pinCode and
+ * timestamp (see shared/event-emitter.js):
+ * - consent_declined: The customer declined the consent prompt
+ * - token_fetched: { userId, userName, region, expiresIn }
+ * - pin_reserved: The PIN to share is known (pinCode)
+ * - consent_granted: { consentId, policyVersion }
+ * - context_attached: The ticket/CRM context was stored with the PIN
+ * - initializing: The SDK is being initialized
+ * - session_started: Sharing started, waiting for an agent
+ * - session_resumed: A session was picked up after a reload
+ * - agent_joined: { agentName }
+ * - agent_left: The agent left the session
+ * - token_refreshed: { expiresIn }
+ * - timeout_warning: { kind, deadline } - the session ends at deadline
+ *   unless an agent joins or it is extended
+ * - session_ended: { reason }
+ * - session_error: { errorCode, errorMsg, fatal } - fatal errors ended or
+ *   prevented the session
+ * - state_changed: { state, previous } - see Session State
+ */
+const events = createEventEmitter({
+  source: 'customer',
+  getPinCode: () => currentPinCode,
+  logPrefix: '[Customer]'
+});
+
+// =============================================================================
+// Session State
+// =============================================================================
+
+/**
+ * Where the page is in the session lifecycle (shared/session-state.js):
+ * idle, consenting, fetching_token, initializing, started (waiting for an
+ * agent), connected, ending, ended or error.
+ */
+const sessionState = createSessionState({
+  transitions: CUSTOMER_TRANSITIONS,
+  sdkEvents: CUSTOMER_SDK_EVENTS,
+  onChange: (state, previous) => events.emit('state_changed', { state, previous }),
+  logPrefix: '[Customer]'
+});
+
+// =============================================================================
+// Embedding
+// =============================================================================
+
+/** Document or shadow root holding the status, PIN and dialog elements */
+let uiRoot = document;
+
+/** Whether the page initializes itself on DOMContentLoaded */
+let autoInit = true;
+
+/** Whether initialize() has run */
+let initialized = false;
+
+/**
+ * Finds one of the page's UI elements (#status, #pin-display, ...) in the
+ * UI root, which may be a widget's shadow root.
+ * @param {string} id - Element ID
+ * @returns {?HTMLElement}
+ */
+function getElement(id) {
+  return uiRoot.getElementById(id);
+}
+
+/**
+ * Adapts the customer page to being embedded in another app.
+ * Must be called before initialize() / DOMContentLoaded.
+ * 
+ * @param {object} options
+ * @param {string} [options.serverUrl] - Cobrowse server base URL (the
+ *   server must allow the app's origin in CORS_ORIGINS)
+ * @param {Document|ShadowRoot} [options.root] - Where the UI elements live
+ * @param {object} [options.messages] - Overrides for MESSAGES (translations)
+ * @param {boolean} [options.autoInit] - false to call initialize() yourself
+ * 
+ * @example
+ * CobrowseCustomer.configure({ serverUrl: 'https://cobrowse.example.com', root: shadowRoot });
+ */
+function configure({ serverUrl, root, messages: overrides, autoInit: auto } = {}) {
+  if (serverUrl) {
+    const base = serverUrl.endsWith('/') ? serverUrl : `${serverUrl}/`;
+    CONFIG.SERVER_URL = base;
+    for (const [key, path] of Object.entries(ENDPOINT_PATHS)) {
+      CONFIG[key] = new URL(path.replace(/^\.\.\//, ''), base).href;
+    }
+  }
+  if (root) {
+    uiRoot = root;
+  }
+  if (overrides) {
+    messages = { ...MESSAGES, ...overrides };
+  }
+  if (auto !== undefined) {
+    autoInit = auto;
+  }
+}
+
+// =============================================================================
+// Client Configuration
+// =============================================================================
+
+/** Pending or completed client configuration load */
+let configPromise = null;
+
+/**
+ * Loads the public client settings from the server and applies them to CONFIG.
+ * 
+ * Settings come from the server's environment, so the same bundle works for
+ * any SDK key or environment without a rebuild. The result is cached; a
+ * failed load is retried on the next call.
+ * 
+ * @returns {Promise<object>} The applied CONFIG
+ * @throws {Error} If the settings cannot be loaded
+ */
+function loadClientConfig() {
+  if (!configPromise) {
+    configPromise = fetch(CONFIG.CLIENT_CONFIG_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Config fetch failed: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((config) => {
+        CONFIG.SDK_KEY = config.sdkKey;
+        CONFIG.PIN_LENGTH = config.pinLength || CONFIG.PIN_LENGTH;
+        CONFIG.FEATURES = { ...CONFIG.FEATURES, ...config.features };
+        CONFIG.TIMEOUTS = { ...CONFIG.TIMEOUTS, ...config.timeouts };
+        CONFIG.CONSENT = { ...CONFIG.CONSENT, ...config.consent };
+        console.log('[Customer] Client config loaded');
+        return CONFIG;
+      })
+      .catch((error) => {
+        configPromise = null;
+        throw error;
+      });
+  }
+  return configPromise;
+}
+
 // =============================================================================
 // Token Management
 // =============================================================================
@@ -58,48 +362,712 @@ let currentSession = null;
  * - user_name: Display name for the customer
  * - enable_byop: 1 (Required for custom PIN codes)
  * 
- * @returns {Promise<string>} The JWT token string
- * @throws {Error} If token fetch fails
+ * The server validates the identity and signs it into user_id/user_name.
+ * Omitted fields are filled in by the server (a random ID, "Customer").
+ * The browser's time zone is sent as a region hint; an explicit region or
+ * tenant takes precedence when picking the Zoom region.
+ * 
+ * @param {object} [identity] - Customer identity and region selection
+ * @param {string} [identity.userName] - Display name (max 64 characters)
+ * @param {string} [identity.userId] - External user/customer ID
+ *   (letters, digits and _ . @ : -, max 64 characters)
+ * @param {string} [identity.region] - Zoom region, e.g. 'eu'
+ * @param {string} [identity.tenant] - Tenant whose configured region applies
+ * @returns {Promise<{token: string, userId: string, userName: string, expiresIn: number, region: string, domain: string}>}
+ *   The token response
+ * @throws {Error} If token fetch fails or the identity is rejected
  */
-async function fetchSdkToken() {
+async function fetchSdkToken(identity = {}) {
   const response = await fetch(CONFIG.TOKEN_SERVER_URL, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
-      sdkKey: CONFIG.SDK_KEY,
-      role: 1 // Customer role
+      role: 1, // Customer role
+      userName: identity.userName || undefined,
+      userId: identity.userId || undefined,
+      region: identity.region || undefined,
+      tenant: identity.tenant || undefined,
+      regionHint: Intl.DateTimeFormat().resolvedOptions().timeZone
     })
   });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Token fetch failed: ${response.status}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Exchanges the current SDK token for a new one.
+ * 
+ * The server only renews a token for the customer who reserved the PIN,
+ * while the PIN is still live, so a leaked token cannot be extended
+ * after the session is over.
+ * 
+ * @param {string} token - The current (possibly just expired) token
+ * @param {string} pinCode - PIN the token is bound to
+ * @returns {Promise<object>} The new token response (same shape as fetchSdkToken)
+ * @throws {Error} If the server refuses the refresh
+ */
+async function refreshSdkToken(token, pinCode) {
+  const response = await fetch(CONFIG.TOKEN_REFRESH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token, pinCode })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Token refresh failed: ${response.status}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Hands a refreshed token to the running session.
+ * 
+ * SDK builds without session.updateToken() cannot take a new token, and
+ * the refresh runs shortly before the old one expires. Rather than let the
+ * session drop mid-use, it is ended cleanly with a fatal session_error
+ * (errorCode 'token_resupply_unsupported').
+ * 
+ * @param {string} token - The new SDK token
+ * @returns {boolean} Whether the session took the token
+ */
+function resupplyToken(token) {
+  if (!currentSession) {
+    return false;
+  }
+  if (typeof currentSession.updateToken === 'function') {
+    currentSession.updateToken(token);
+    console.log('[Customer] Token re-supplied to the session');
+    return true;
+  }
+  
+  const errorMsg = 'This SDK version cannot renew the session token';
+  console.error(`[Customer] ${errorMsg}; ending the session`);
+  reportEvent(currentPinCode, 'session_error', { errorCode: 'token_resupply_unsupported', errorMsg });
+  events.emit('session_error', { errorCode: 'token_resupply_unsupported', errorMsg, fatal: true });
+  endSession('token_expired');
+  updateStatus(t('tokenUnsupported'));
+  return false;
+}
+
+/**
+ * Replaces the token manager with a new one for the current session.
+ * Refreshed tokens are re-supplied to the SDK and saved for resume.
+ * @param {function(...*): Promise<object>} fetchToken - Fetches the first token
+ * @returns {object} The token manager
+ */
+function createSessionTokenManager(fetchToken) {
+  stopTokenManager();
+  tokenManager = createTokenManager({
+    fetchToken,
+    refreshToken: (token) => refreshSdkToken(token, currentPinCode),
+    onRefresh: ({ token, expiresIn }) => {
+      if (resupplyToken(token)) {
+        saveResumeState();
+        events.emit('token_refreshed', { expiresIn });
+      }
+    },
+    onError: () => updateStatus(t('tokenRenewFailed')),
+    logPrefix: '[Customer]'
+  });
+  return tokenManager;
+}
+
+/**
+ * Stops refreshing the current token, if any.
+ */
+function stopTokenManager() {
+  if (tokenManager) {
+    tokenManager.stop();
+    tokenManager = null;
+  }
+}
+
+// =============================================================================
+// PIN Code Registry
+// =============================================================================
+
+/**
+ * Reserves a PIN code for BYOP mode from the server's PIN registry.
+ * 
+ * The server guarantees the PIN is unique among active sessions and
+ * tracks its expiry, so the agent page can verify it before joining.
+ * The PIN records the customer's Zoom region so an agent in a different
+ * region is stopped before joining.
+ * 
+ * The PIN is also bound to the customer's user ID, which is what lets
+ * the token be refreshed later.
+ * 
+ * @param {string} region - Zoom region from the token response
+ * @param {string} userId - Customer user ID from the token response
+ * @returns {Promise<string>} Reserved PIN code
+ * @throws {Error} If the reservation fails
+ */
+async function fetchPinCode(region, userId) {
+  const response = await fetch(CONFIG.PIN_SERVER_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ region, userId })
+  });
   
   if (!response.ok) {
-    throw new Error(`Token fetch failed: ${response.status}`);
+    throw new Error(`PIN reservation failed: ${response.status}`);
   }
   
   const data = await response.json();
-  return data.token;
+  return data.pinCode;
+}
+
+/**
+ * Tells the PIN registry the PIN is no longer in use.
+ * Best effort - the PIN expires on its own if this request is lost.
+ * The server only deletes it for the user ID it was reserved with.
+ * @param {string} pinCode - The PIN code to release
+ * @param {string} reason - Why the session ended, recorded by the server
+ */
+function deletePinCode(pinCode, reason) {
+  const query = new URLSearchParams({ userId: currentUserId || '', reason });
+  fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(pinCode)}?${query}`, {
+    method: 'DELETE',
+    keepalive: true
+  }).catch((error) => {
+    console.warn('[Customer] Failed to delete PIN:', error);
+  });
+}
+
+/**
+ * Looks up a PIN in the registry.
+ * @param {string} pinCode - The PIN code
+ * @returns {Promise<?object>} The PIN record, or null if the PIN is unknown
+ * @throws {Error} If the lookup fails
+ */
+async function fetchPinStatus(pinCode) {
+  const response = await fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(pinCode)}`);
+  
+  if (response.status === 404 || response.status === 400) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`PIN lookup failed: ${response.status}`);
+  }
+  
+  return response.json();
 }
 
 // =============================================================================
-// PIN Code Generation
+// Session Resume
 // =============================================================================
 
 /**
- * Generates a random PIN code for BYOP mode.
+ * Saves what is needed to resume the session after a reload.
+ * sessionStorage is per tab, so the session resumes in the tab it ran in.
+ */
+function saveResumeState() {
+  if (!currentPinCode || !tokenManager?.token) {
+    return;
+  }
+  try {
+    sessionStorage.setItem(CONFIG.RESUME_STORAGE_KEY, JSON.stringify({
+      pinCode: currentPinCode,
+      userId: currentUserId,
+      userName: currentUserName,
+      tenant: currentTenant,
+      token: tokenManager.token,
+      context: getContext()
+    }));
+  } catch (error) {
+    console.warn('[Customer] Could not save session for resume:', error);
+  }
+}
+
+/**
+ * Reads the saved session, if any.
+ * @returns {?{pinCode: string, userId: string, userName: string, tenant: ?string, token: string, context: ?object}}
+ */
+function loadResumeState() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(CONFIG.RESUME_STORAGE_KEY));
+    return saved && saved.pinCode && saved.token ? saved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Forgets the saved session.
+ */
+function clearResumeState() {
+  try {
+    sessionStorage.removeItem(CONFIG.RESUME_STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable - nothing was saved
+  }
+}
+
+// =============================================================================
+// Support Queue
+// =============================================================================
+
+/**
+ * Registers the customer in the support queue so agents see them waiting
+ * and can join with one click instead of being read the PIN.
  * 
- * PIN code requirements:
- * - Alphanumeric characters only (A-Z, 0-9)
- * - Maximum 10 characters
- * - Will be converted to uppercase automatically
+ * The customer leaves the queue automatically once an agent claims the
+ * PIN, or when the PIN is deleted at the end of the session.
  * 
- * @returns {string} Generated PIN code
+ * @param {string} pinCode - The active session PIN
+ * @param {string} [name] - Display name shown to agents
+ * @returns {Promise<void>}
+ * @throws {Error} If registration fails
  */
-function generatePinCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let pin = '';
-  for (let i = 0; i < CONFIG.PIN_LENGTH; i++) {
-    pin += chars.charAt(Math.floor(Math.random() * chars.length));
+async function joinQueue(pinCode, name) {
+  const response = await fetch(CONFIG.QUEUE_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pinCode,
+      name,
+      pageUrl: window.location.href
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Queue registration failed: ${response.status}`);
+  }
+}
+
+// =============================================================================
+// Session Context
+// =============================================================================
+
+/**
+ * What the agent should know about the customer before joining, set by
+ * the host page with setContext(). Sent to the server with the PIN when
+ * the session starts, together with the current page and browser, and
+ * shown to the agent who joins.
+ * @type {{ticketNumber: ?string, accountId: ?string, custom: object}}
+ */
+const sessionContext = { ticketNumber: null, accountId: null, custom: {} };
+
+/**
+ * Sets context fields for the agent. ticketNumber and accountId are shown
+ * on their own; any other key is a custom field (string, number or
+ * boolean). A null value removes the field. A running session is updated
+ * right away.
+ * 
+ * @param {object} fields - Fields to merge into the context
+ * @returns {object} The context after the update
+ * 
+ * @example
+ * CobrowseCustomer.setContext({ ticketNumber: 'INC-10423', accountId: 'ACME-77', plan: 'Enterprise' });
+ */
+function setContext(fields = {}) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'ticketNumber' || key === 'accountId') {
+      sessionContext[key] = value === null || value === undefined ? null : String(value);
+    } else if (value === null || value === undefined) {
+      delete sessionContext.custom[key];
+    } else {
+      sessionContext.custom[key] = value;
+    }
+  }
+  
+  if (currentPinCode && ['started', 'connected'].includes(sessionState.state)) {
+    saveResumeState();
+    attachContext(currentPinCode).catch((error) => {
+      console.warn('[Customer] Could not update session context:', error);
+    });
+  }
+  return getContext();
+}
+
+/**
+ * @returns {object} A copy of the context set with setContext()
+ */
+function getContext() {
+  return { ...sessionContext, custom: { ...sessionContext.custom } };
+}
+
+/**
+ * Puts back the context saved before a reload. Fields the host page has
+ * already set again on this page take precedence.
+ * @param {?object} saved - Context from the resume state
+ */
+function restoreContext(saved) {
+  if (!saved) {
+    return;
   }
-  return pin;
+  sessionContext.ticketNumber = sessionContext.ticketNumber ?? saved.ticketNumber ?? null;
+  sessionContext.accountId = sessionContext.accountId ?? saved.accountId ?? null;
+  sessionContext.custom = { ...saved.custom, ...sessionContext.custom };
+}
+
+/**
+ * Describes the browser for the agent: enough to reproduce what the
+ * customer sees, nothing that identifies them.
+ * @returns {object}
+ */
+function describeBrowser() {
+  return {
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    platform: navigator.userAgentData?.platform || navigator.platform || undefined,
+    screen: `${window.screen.width}x${window.screen.height}`,
+    viewport: `${window.innerWidth}x${window.innerHeight}`,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  };
+}
+
+/**
+ * Stores the context against the PIN; the agent page fetches it on join.
+ * Sent again after a resume, since the customer may be on another page.
+ * 
+ * @param {string} pinCode - The active session PIN
+ * @returns {Promise<object>} The context as stored by the server
+ * @throws {Error} If the server rejects the context
+ */
+async function attachContext(pinCode) {
+  const response = await fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(pinCode)}/context`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      userId: currentUserId || undefined,
+      ticketNumber: sessionContext.ticketNumber,
+      accountId: sessionContext.accountId,
+      pageUrl: window.location.href,
+      browser: describeBrowser(),
+      custom: sessionContext.custom
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Context could not be attached: ${response.status}`);
+  }
+  
+  return data.context;
+}
+
+// =============================================================================
+// Audit Reporting
+// =============================================================================
+
+/**
+ * Reports a session lifecycle event to the server's audit log.
+ * Best effort - a failed report never interrupts the session.
+ * 
+ * @param {string} pinCode - PIN of the session the event belongs to
+ * @param {string} event - Event name, e.g. 'agent_joined'
+ * @param {object} [payload] - Event payload from the SDK
+ */
+function reportEvent(pinCode, event, payload) {
+  if (!CONFIG.FEATURES.audit) {
+    return;
+  }
+  
+  fetch(CONFIG.EVENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      role: 1,
+      pinCode,
+      userId: currentUserId || undefined,
+      userName: currentUserName || undefined,
+      event,
+      payload
+    }),
+    keepalive: true
+  }).catch((error) => {
+    console.warn('[Customer] Failed to report event:', event, error);
+  });
+}
+
+/**
+ * Reports this tab being hidden or shown again while an agent is
+ * connected. The SDK tells the agent when the customer loses focus but not
+ * when they come back; the server relays these reports to the agent who
+ * holds the PIN. Sent whether or not the audit feature is on.
+ */
+function reportVisibility() {
+  if (sessionState.state !== 'connected' || !currentPinCode) {
+    return;
+  }
+  fetch(`${CONFIG.PIN_SERVER_URL}/${encodeURIComponent(currentPinCode)}/presence`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      userId: currentUserId || undefined,
+      presence: document.hidden ? 'away' : 'active'
+    }),
+    keepalive: true
+  }).catch((error) => {
+    console.warn('[Customer] Failed to report presence:', error);
+  });
+}
+
+// =============================================================================
+// PII Masking Policy
+// =============================================================================
+
+/**
+ * Masking rules that apply to this page, from the last policy load.
+ * `mask` selectors hide field values; `block` selectors hide whole areas.
+ */
+let piiRules = { version: null, maskType: CONFIG.PII_MASK.maskType, mask: [], block: [], matched: [] };
+
+/**
+ * Fetches the PII masking policy from the server.
+ * 
+ * The policy holds default selectors plus rules scoped to page URL
+ * patterns and tenants. Sharing never starts without it: a failed load
+ * throws rather than falling back to weaker masking.
+ * 
+ * @param {string} [tenant] - Tenant whose rules apply in addition to the global ones
+ * @returns {Promise<{version: string, defaults: object, rules: object[]}>} The policy
+ * @throws {Error} If the policy cannot be loaded
+ */
+async function fetchPiiPolicy(tenant) {
+  const query = tenant ? `?${new URLSearchParams({ tenant })}` : '';
+  const response = await fetch(`${CONFIG.PII_POLICY_URL}${query}`);
+  
+  if (!response.ok) {
+    throw new Error(`PII policy fetch failed: ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Checks a path against page patterns, where `*` matches anything.
+ * @param {string[]} patterns - e.g. ['/checkout/*', '/account*']
+ * @param {string} pathname - Page path, e.g. location.pathname
+ * @returns {boolean}
+ */
+function matchesPage(patterns, pathname) {
+  return patterns.some((pattern) => {
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(pathname);
+  });
+}
+
+/**
+ * Loads the PII policy and applies the rules matching this page to
+ * CONFIG.PII_MASK, ready for ZoomCobrowseSDK.init().
+ * 
+ * The SDK only masks, so blocked areas are masked together with
+ * everything inside them (`X, X *`).
+ * 
+ * @param {string} [tenant] - Tenant of the customer
+ * @returns {Promise<object>} The applied rules ({ version, mask, block, matched })
+ * @throws {Error} If the policy cannot be loaded
+ */
+async function applyPiiPolicy(tenant) {
+  const policy = await fetchPiiPolicy(tenant);
+  const rules = policy.rules.filter((rule) => matchesPage(rule.pages, window.location.pathname));
+  
+  piiRules = {
+    version: policy.version,
+    maskType: policy.defaults.maskType,
+    mask: [...new Set([...policy.defaults.mask, ...rules.flatMap((rule) => rule.mask)])],
+    block: [...new Set([...policy.defaults.block, ...rules.flatMap((rule) => rule.block)])],
+    matched: rules.map((rule) => rule.name).filter(Boolean)
+  };
+  
+  CONFIG.PII_MASK = {
+    maskType: piiRules.maskType,
+    maskCssSelectors: [
+      ...piiRules.mask,
+      ...piiRules.block.flatMap((selector) => [selector, `${selector} *`])
+    ].join(', ')
+  };
+  
+  console.log(`[Customer] PII policy ${policy.version} applied`, piiRules.matched);
+  return piiRules;
+}
+
+/**
+ * Outlines masked (dashed orange) and blocked (red) elements on the page,
+ * so QA can check coverage before go-live. Nothing is shared.
+ * Also enabled by opening the page with `?pii-preview` (and `&tenant=`).
+ * 
+ * @param {boolean} [enable=true] - Show or remove the outlines
+ * @param {string} [tenant] - Tenant whose rules to preview
+ * @returns {Promise<?object[]>} Per-selector match counts, or null when disabled
+ * 
+ * @example
+ * await CobrowseCustomer.previewPiiMask(true, 'acme-gmbh');
+ */
+async function previewPiiMask(enable = true, tenant) {
+  document.getElementById('cobrowse-pii-preview')?.remove();
+  if (!enable) {
+    return null;
+  }
+  
+  await applyPiiPolicy(tenant);
+  
+  const style = document.createElement('style');
+  style.id = 'cobrowse-pii-preview';
+  style.textContent = [
+    ...piiRules.mask.map((selector) => `${selector} { outline: 2px dashed #f0ad4e !important; outline-offset: 2px; }`),
+    ...piiRules.block.map((selector) => `${selector} { outline: 3px solid #dc3545 !important; background: rgba(220, 53, 69, 0.15) !important; }`)
+  ].join('\n');
+  document.head.appendChild(style);
+  
+  // Selectors that match nothing are usually typos or renamed classes
+  const report = [
+    ...piiRules.mask.map((selector) => ({ type: 'mask', selector })),
+    ...piiRules.block.map((selector) => ({ type: 'block', selector }))
+  ].map((entry) => {
+    let matches;
+    try {
+      matches = document.querySelectorAll(entry.selector).length;
+    } catch (error) {
+      matches = 'invalid selector';
+    }
+    return { ...entry, matches };
+  });
+  
+  console.log(`[Customer] PII preview - policy ${piiRules.version}, rules:`, piiRules.matched);
+  console.table(report);
+  updateStatus(t('piiPreview', { version: piiRules.version }));
+  return report;
+}
+
+// =============================================================================
+// Consent
+// =============================================================================
+
+/** What the agent can see once sharing starts, listed in the consent prompt (message keys) */
+const SHARED_ITEMS = ['sharedTab', 'sharedPointer', 'sharedTyping'];
+
+/**
+ * Lists what the PII mask hides from the agent on the current page.
+ * Masked fields are named by their label so the customer recognizes them.
+ * @returns {string[]} One entry per masked field or area
+ */
+function describeMaskedContent() {
+  const items = new Set();
+  
+  if (piiRules.maskType === 'all_input') {
+    items.add(t('maskedAllInput'));
+  }
+  
+  const describe = (selectors, fallback) => {
+    for (const selector of selectors) {
+      try {
+        for (const el of document.querySelectorAll(selector)) {
+          const label = el.labels?.[0]?.textContent || el.getAttribute('aria-label') || el.placeholder;
+          items.add(label ? label.trim() : fallback);
+        }
+      } catch (error) {
+        console.warn('[Customer] Invalid PII selector:', selector);
+      }
+    }
+  };
+  describe(piiRules.mask, t('maskedField'));
+  describe(piiRules.block, t('maskedArea'));
+  
+  return items.size ? [...items] : [t('maskedNothing')];
+}
+
+/**
+ * Asks the customer to agree to sharing before anything is started.
+ * 
+ * Uses the page's #consent-dialog when present (filling #consent-shared,
+ * #consent-masked and #consent-policy), or a plain confirm() otherwise.
+ * 
+ * @returns {Promise<?{shared: string[], masked: string[], consentedAt: string}>}
+ *   What the customer agreed to, or null if they declined
+ */
+function requestConsent() {
+  const shared = SHARED_ITEMS.map((key) => t(key));
+  const masked = describeMaskedContent();
+  const accepted = () => ({ shared, masked, consentedAt: new Date().toISOString() });
+  const dialog = getElement('consent-dialog');
+  
+  if (!dialog || typeof dialog.showModal !== 'function') {
+    const text = t('consentConfirm', {
+      shared: shared.join('\n- '),
+      masked: masked.join('\n- '),
+      version: CONFIG.CONSENT.policyVersion
+    });
+    return Promise.resolve(window.confirm(text) ? accepted() : null);
+  }
+  
+  fillList(getElement('consent-shared'), shared);
+  fillList(getElement('consent-masked'), masked);
+  
+  const policyEl = getElement('consent-policy');
+  if (policyEl) {
+    policyEl.textContent = t('consentPolicy', { version: CONFIG.CONSENT.policyVersion });
+    if (CONFIG.CONSENT.policyUrl) {
+      const link = document.createElement('a');
+      link.href = CONFIG.CONSENT.policyUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = t('consentPolicyLink');
+      policyEl.append(' - ', link);
+    }
+  }
+  
+  return new Promise((resolve) => {
+    const acceptBtn = getElement('consent-accept');
+    const declineBtn = getElement('consent-decline');
+    
+    const finish = (result) => {
+      acceptBtn.removeEventListener('click', onAccept);
+      declineBtn.removeEventListener('click', onDecline);
+      dialog.removeEventListener('cancel', onDecline);
+      dialog.close();
+      resolve(result);
+    };
+    const onAccept = () => finish(accepted());
+    const onDecline = (event) => {
+      event.preventDefault();
+      finish(null);
+    };
+    
+    acceptBtn.addEventListener('click', onAccept);
+    declineBtn.addEventListener('click', onDecline);
+    dialog.addEventListener('cancel', onDecline);  // Escape key
+    dialog.showModal();
+  });
+}
+
+/**
+ * Records the customer's consent on the server.
+ * Sharing must not start unless this succeeds.
+ * 
+ * @param {string} pinCode - The reserved PIN
+ * @param {object} consent - Result of requestConsent()
+ * @returns {Promise<{consentId: string, policyVersion: string, recordedAt: string}>}
+ * @throws {Error} If the server does not record the consent
+ */
+async function recordConsent(pinCode, consent) {
+  const response = await fetch(CONFIG.CONSENT_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      pinCode,
+      userId: currentUserId,
+      userName: currentUserName,
+      policyVersion: CONFIG.CONSENT.policyVersion,
+      ...consent
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error || `Consent could not be recorded: ${response.status}`);
+  }
+  
+  return data;
 }
 
 // =============================================================================
@@ -110,61 +1078,94 @@ function generatePinCode() {
  * Starts a new Cobrowse session.
  * 
  * This method:
- * 1. Fetches SDK token from token server
- * 2. Generates a custom PIN code (BYOP mode)
- * 3. Initializes the SDK
- * 4. Registers event listeners
- * 5. Starts the session with the custom PIN
+ * 1. Loads the client configuration (SDK key, features) and the PII
+ *    masking rules for this page
+ * 2. Asks the customer for consent, listing what is shared and masked
+ * 3. Fetches SDK token from token server (refreshed ahead of expiry)
+ * 4. Reserves a custom PIN code from the PIN registry (BYOP mode)
+ * 5. Records the consent on the server
+ * 6. Attaches the ticket/CRM context for the agent (see setContext())
+ * 7. Initializes the SDK
+ * 8. Registers event listeners
+ * 9. Starts the session with the custom PIN and its timeouts
+ * 10. Registers the customer in the support queue (if enabled)
  * 
- * The customer should share the displayed PIN code with the agent
- * to allow them to join the session.
+ * Agents see the customer in their queue and can join directly; the
+ * displayed PIN can still be shared with the agent by other means.
  * 
- * @returns {Promise<{session: object, pinCode: string}>} Session object and PIN
- * @throws {Error} If initialization or start fails
+ * @param {object} [identity] - Customer identity signed into the token
+ * @param {string} [identity.userName] - Display name shown to the agent
+ * @param {string} [identity.userId] - External user/customer ID
+ * @param {string} [identity.region] - Zoom region (default: chosen by the server)
+ * @param {string} [identity.tenant] - Tenant whose configured region applies
+ * @returns {Promise<?{session: object, pinCode: string}>} Session object and PIN,
+ *   or null if the customer declined
+ * @throws {Error} If consent recording, initialization or start fails
  * 
  * @example
- * const { pinCode } = await startSession();
+ * const { pinCode } = await startSession({ userName: 'Jane Doe', userId: 'crm-1234' });
  * console.log('Share this PIN with your agent:', pinCode);
  */
-async function startSession() {
+async function startSession(identity = {}) {
+  // One session at a time: a second click must not initialize the SDK again
+  if (!sessionState.can('consenting')) {
+    throw new Error(`Cannot start a session while ${sessionState.state}`);
+  }
+  
   console.log('[Customer] Starting session...');
+  sessionState.transition('consenting');
   
   try {
-    // Step 1: Fetch SDK token
-    const sdkToken = await fetchSdkToken();
-    console.log('[Customer] Token received');
+    // Step 1: Load runtime settings and masking rules before touching the SDK
+    await loadClientConfig();
+    await applyPiiPolicy(identity.tenant);
     
-    // Step 2: Generate custom PIN code
-    const pinCode = generatePinCode();
-    console.log('[Customer] Generated PIN:', pinCode);
+    // Step 2: Nothing is shared without the customer's consent
+    const consent = await requestConsent();
+    if (!consent) {
+      updateStatus(t('sharingCancelled'));
+      sessionState.tryTransition('idle');
+      events.emit('consent_declined');
+      return null;
+    }
     
-    // Step 3: Initialize SDK
-    const initResult = await new Promise((resolve, reject) => {
-      ZoomCobrowseSDK.init({
-        appKey: CONFIG.SDK_KEY,
-        multiTabSessionPersistence: {
-          enable: true,
-        },
-        piiMask: {
-          maskType: 'custom_input',
-          maskCssSelectors: '.hideme',
-        },
-      }, (result) => {
-        if (result.success) {
-          resolve(result);
-        } else {
-          reject(result.error || new Error('SDK initialization failed'));
-        }
-      });
-    });
+    // Step 3: Fetch SDK token
+    sessionState.tryTransition('fetching_token');
+    const { token: sdkToken, userId, userName, region, expiresIn } = await createSessionTokenManager(fetchSdkToken).fetch(identity);
+    currentUserId = userId;
+    currentUserName = userName;
+    currentTenant = identity.tenant || null;
+    console.log('[Customer] Token received for region:', region);
+    events.emit('token_fetched', { userId, userName, region, expiresIn });
+    
+    // Step 4: Reserve custom PIN code
+    const pinCode = await fetchPinCode(region, userId);
+    currentPinCode = pinCode;
+    console.log('[Customer] Reserved PIN:', pinCode);
+    events.emit('pin_reserved');
+    
+    // Step 5: Record the consent against the PIN
+    const { consentId, policyVersion } = await recordConsent(pinCode, consent);
+    console.log('[Customer] Consent recorded:', consentId);
+    events.emit('consent_granted', { consentId, policyVersion });
     
-    console.log('[Customer] SDK initialized');
-    currentSession = initResult.session;
+    // Step 6: Attach context for the agent (the session works without it)
+    try {
+      await attachContext(pinCode);
+      events.emit('context_attached');
+    } catch (error) {
+      console.warn('[Customer] Could not attach session context:', error);
+    }
     
-    // Step 4: Set up event listeners
-    setupEventListeners(currentSession);
+    // Step 7: Initialize SDK
+    sessionState.tryTransition('initializing');
+    events.emit('initializing');
+    currentSession = await initSdk();
     
-    // Step 5: Start session with custom PIN
+    // Step 8: Set up event listeners
+    setupEventListeners(currentSession, pinCode);
+    
+    // Step 9: Start session with custom PIN
     await new Promise((resolve, reject) => {
       currentSession.start({
         customPinCode: pinCode,
@@ -179,32 +1180,303 @@ async function startSession() {
     });
     
     console.log('[Customer] Session started');
+    sessionState.tryTransition('started');
+    saveResumeState();
+    startSessionTimeouts(pinCode);
     
     // Display PIN code to user
     displayPinCode(pinCode);
     
+    // Step 10: Wait in the support queue (the PIN still works if this fails)
+    if (CONFIG.FEATURES.queue) {
+      try {
+        await joinQueue(pinCode, identity.userName);
+        console.log('[Customer] Added to support queue');
+      } catch (error) {
+        console.warn('[Customer] Could not join support queue:', error);
+      }
+    }
+    
     return { session: currentSession, pinCode };
     
   } catch (error) {
     console.error('[Customer] Error:', error);
-    updateStatus(`Error: ${error.message || 'Unknown error'}`);
+    events.emit('session_error', { errorCode: error.status || null, errorMsg: error.message || null, fatal: true });
+    sessionState.tryTransition('error');
+    stopTokenManager();
+    stopSessionTimeouts();
+    clearResumeState();
+    releasePinCode('start_failed');
+    updateStatus(t('error', { message: error.message || t('unknownError') }));
     throw error;
   }
 }
 
+/**
+ * Initializes the SDK with the current masking options.
+ * 
+ * multiTabSessionPersistence lets the SDK carry a running session across
+ * reloads and navigation; resumeSession() relies on it.
+ * 
+ * @returns {Promise<object>} The session object
+ * @throws {Error} If initialization fails
+ */
+async function initSdk() {
+  const initResult = await new Promise((resolve, reject) => {
+    ZoomCobrowseSDK.init({
+      appKey: CONFIG.SDK_KEY,
+      multiTabSessionPersistence: {
+        enable: true,
+      },
+      piiMask: CONFIG.PII_MASK,
+    }, (result) => {
+      if (result.success) {
+        resolve(result);
+      } else {
+        reject(result.error || new Error('SDK initialization failed'));
+      }
+    });
+  });
+  
+  console.log('[Customer] SDK initialized');
+  return initResult.session;
+}
+
+/**
+ * Picks up a session that was running before the page was reloaded or
+ * navigated away from.
+ * 
+ * The SDK keeps the session alive across pages; this restores the page
+ * side: the PIN display and status, the event listeners, and the token
+ * refresh. The saved token is exchanged for a fresh one, which also
+ * confirms with the server that the PIN is still live and ours. Consent
+ * was recorded for this PIN, so it is not asked again.
+ * 
+ * @returns {Promise<?{session: object, pinCode: string}>} The resumed
+ *   session, or null if there was nothing to resume
+ */
+async function resumeSession() {
+  const saved = loadResumeState();
+  if (!saved) {
+    return null;
+  }
+  
+  console.log('[Customer] Resuming session with PIN:', saved.pinCode);
+  updateStatus(t('resuming'));
+  sessionState.tryTransition('fetching_token');
+  
+  try {
+    await loadClientConfig();
+    await applyPiiPolicy(saved.tenant || undefined);
+    
+    const pin = await fetchPinStatus(saved.pinCode);
+    if (!pin || (pin.status !== 'active' && pin.status !== 'claimed')) {
+      console.log('[Customer] Previous session is over');
+      clearResumeState();
+      sessionState.tryTransition('idle');
+      updateStatus(t('ready'));
+      return null;
+    }
+    
+    currentPinCode = saved.pinCode;
+    currentUserId = saved.userId;
+    currentUserName = saved.userName;
+    currentTenant = saved.tenant || null;
+    restoreContext(saved.context);
+    
+    await createSessionTokenManager(() => refreshSdkToken(saved.token, saved.pinCode)).fetch();
+    
+    sessionState.tryTransition('initializing');
+    currentSession = await initSdk();
+    setupEventListeners(currentSession, saved.pinCode);
+    saveResumeState();
+    startSessionTimeouts(saved.pinCode, Date.parse(pin.createdAt));
+    if (pin.status === 'claimed') {
+      sessionTimeouts.agentJoined();
+    }
+    
+    displayPinCode(saved.pinCode);
+    sessionState.tryTransition(pin.status === 'claimed' ? 'connected' : 'started');
+    if (pin.status === 'claimed') {
+      updateStatus(t('agentJoined'));
+      showAgentIndicator(pin.claimedBy?.name);
+      // The agent saw the previous page go away
+      reportVisibility();
+    } else {
+      updateStatus(t('waitingForAgent'));
+    }
+    reportEvent(saved.pinCode, 'session_resumed');
+    attachContext(saved.pinCode).catch((error) => {
+      console.warn('[Customer] Could not update session context:', error);
+    });
+    events.emit('session_resumed');
+    console.log('[Customer] Session resumed');
+    
+    return { session: currentSession, pinCode: saved.pinCode };
+    
+  } catch (error) {
+    console.error('[Customer] Resume failed:', error);
+    events.emit('session_error', { errorCode: error.status || null, errorMsg: error.message || null, fatal: true });
+    sessionState.tryTransition('error');
+    stopTokenManager();
+    stopSessionTimeouts();
+    clearResumeState();
+    releasePinCode('resume_failed');
+    currentSession = null;
+    updateStatus(t('resumeFailed'));
+    return null;
+  }
+}
+
 /**
  * Ends the current session.
  * Cleans up the session reference after ending.
+ * 
+ * The SDK normally confirms with session_ended, which moves the page to
+ * `ended`. If it has not within CONFIG.END_TIMEOUT the page ends the
+ * session itself, and if session.end() fails it moves to `error`, so a
+ * new session can always be started.
+ * 
+ * @param {string} [reason='customer_ended'] - End reason recorded by the server
  */
-function endSession() {
+function endSession(reason = 'customer_ended') {
   if (!currentSession) {
     console.log('[Customer] No active session');
     return;
   }
   
   console.log('[Customer] Ending session...');
-  currentSession.end();
+  const session = currentSession;
+  const pinCode = currentPinCode;
+  sessionState.tryTransition('ending');
+  pendingEndReason = reason;
+  
+  const fallback = setTimeout(() => {
+    if (sessionState.state !== 'ending') {
+      return;
+    }
+    console.warn('[Customer] No session_ended from the SDK, ending locally');
+    pendingEndReason = null;
+    updateStatus(t(reason.startsWith('timeout_') ? 'sessionTimedOut' : 'sessionEnded'));
+    hidePinCode();
+    hideAgentIndicator();
+    sessionState.tryTransition('ended');
+    events.emit('session_ended', { pinCode, reason });
+  }, CONFIG.END_TIMEOUT);
+  session.on('session_ended', () => clearTimeout(fallback));
+  
+  // end() may throw or return a rejected promise
+  Promise.resolve()
+    .then(() => session.end())
+    .catch((error) => {
+      clearTimeout(fallback);
+      console.error('[Customer] Ending the session failed:', error);
+      if (sessionState.state !== 'ending') {
+        return;
+      }
+      pendingEndReason = null;
+      updateStatus(t('error', { message: error.message || t('unknownError') }));
+      hidePinCode();
+      hideAgentIndicator();
+      sessionState.tryTransition('error');
+      events.emit('session_error', { pinCode, errorCode: null, errorMsg: error.message || null, fatal: true });
+    });
+  
   currentSession = null;
+  stopTokenManager();
+  stopSessionTimeouts();
+  clearResumeState();
+  releasePinCode(reason);
+}
+
+/**
+ * Withdraws consent: stops sharing immediately.
+ * Bound to the "stop sharing" button of the agent indicator.
+ */
+function stopSharing() {
+  if (currentPinCode) {
+    reportEvent(currentPinCode, 'consent_revoked');
+  }
+  endSession('consent_revoked');
+}
+
+/**
+ * Releases the current PIN code back to the registry, if any.
+ * @param {string} [reason='session_ended'] - Why the session ended
+ */
+function releasePinCode(reason = 'session_ended') {
+  if (currentPinCode) {
+    deletePinCode(currentPinCode, reason);
+    currentPinCode = null;
+  }
+}
+
+// =============================================================================
+// Session Timeouts
+// =============================================================================
+
+/** Why the session is about to end, shown in the warning (message keys) */
+const TIMEOUT_MESSAGES = {
+  no_agent: 'timeoutNoAgent',
+  idle: 'timeoutIdle',
+  max_duration: 'timeoutMaxDuration',
+};
+
+/**
+ * Starts the no-agent and maximum-duration clocks (CONFIG.TIMEOUTS) for
+ * the current session. When a clock runs out the session is ended with
+ * a `timeout_*` reason, so it is told apart from the customer ending it.
+ * 
+ * @param {string} pinCode - PIN of the session
+ * @param {number} [startedAt=Date.now()] - When the session started
+ */
+function startSessionTimeouts(pinCode, startedAt = Date.now()) {
+  stopSessionTimeouts();
+  sessionTimeouts = createSessionTimeouts({
+    ...CONFIG.TIMEOUTS,
+    onWarning: (kind, deadline) => {
+      console.log('[Customer] Timeout warning:', kind);
+      reportEvent(pinCode, 'session_timeout_warning', { kind });
+      showTimeoutWarning(kind, deadline);
+      events.emit('timeout_warning', { kind, deadline });
+    },
+    onClear: () => hideTimeoutWarning(),
+    onTimeout: (kind) => {
+      console.log('[Customer] Session timed out:', kind);
+      hideTimeoutWarning();
+      endSession(TIMEOUT_REASONS[kind]);
+    }
+  });
+  sessionTimeouts.sessionStarted(startedAt);
+}
+
+/**
+ * Stops the current session's timeout clocks, if any.
+ */
+function stopSessionTimeouts() {
+  if (sessionTimeouts) {
+    sessionTimeouts.stop();
+    sessionTimeouts = null;
+  }
+  hideTimeoutWarning();
+}
+
+/**
+ * Keeps the session open when the customer chooses to keep waiting for
+ * an agent. Restarts the no-agent or idle clock; the maximum duration
+ * cannot be extended.
+ * @returns {boolean} Whether a clock was restarted
+ */
+function extendSession() {
+  if (!sessionTimeouts) {
+    return false;
+  }
+  const extended = sessionTimeouts.extend('no_agent') || sessionTimeouts.extend('idle');
+  if (extended) {
+    hideTimeoutWarning();
+    updateStatus(t('stillWaiting'));
+  }
+  return extended;
 }
 
 // =============================================================================
@@ -217,40 +1489,84 @@ function endSession() {
  * Available events:
  * - session_started: Session successfully started, waiting for agent
  * - session_ended: Session was terminated
- * - session_error: An error occurred
+ * - session_error: An error occurred (auth errors trigger a token refresh)
  * - agent_joined: An agent joined the session
  * - agent_left: The agent left the session
  * 
+ * Every event is also reported to the server's audit log and re-emitted
+ * to the host page (see Lifecycle Events).
+ * 
  * @param {object} session - The session object from SDK initialization
+ * @param {string} pinCode - PIN of the session
  */
-function setupEventListeners(session) {
+function setupEventListeners(session, pinCode) {
   // Session lifecycle events
   session.on('session_started', () => {
     console.log('[Customer] Event: session_started');
-    updateStatus('Session started - waiting for agent');
+    reportEvent(pinCode, 'session_started');
+    updateStatus(t('waitingForAgent'));
+    sessionState.followSdkEvent('session_started');
+    events.emit('session_started', { pinCode });
   });
   
   session.on('session_ended', (payload) => {
     console.log('[Customer] Event: session_ended', payload);
-    updateStatus('Session ended');
+    const reason = pendingEndReason || payload?.reason || 'session_ended';
+    pendingEndReason = null;
+    reportEvent(pinCode, 'session_ended', { ...payload, reason });
+    updateStatus(t(reason.startsWith('timeout_') ? 'sessionTimedOut' : 'sessionEnded'));
     currentSession = null;
+    stopTokenManager();
+    stopSessionTimeouts();
+    clearResumeState();
+    releasePinCode(reason);
     hidePinCode();
+    hideAgentIndicator();
+    sessionState.followSdkEvent('session_ended');
+    events.emit('session_ended', { pinCode, reason });
   });
   
   session.on('session_error', (payload) => {
     console.error('[Customer] Event: session_error', payload);
-    updateStatus(`Error: ${payload.errorMsg || 'Unknown error'}`);
+    reportEvent(pinCode, 'session_error', payload);
+    events.emit('session_error', { pinCode, errorCode: payload?.errorCode ?? null, errorMsg: payload?.errorMsg ?? null, fatal: false });
+    
+    // An expired or rejected token is fixed by renewing it
+    if (isAuthError(payload) && tokenManager) {
+      updateStatus(t('renewingToken'));
+      tokenManager.refresh().then(() => {
+        // Unless the session was ended because it cannot take the token
+        if (currentSession) {
+          updateStatus(t('tokenRenewed'));
+        }
+      }, () => {
+        updateStatus(t('error', { message: payload?.errorMsg || t('unknownError') }));
+      });
+      return;
+    }
+    
+    updateStatus(t('error', { message: payload?.errorMsg || t('unknownError') }));
   });
   
   // Agent events
   session.on('agent_joined', (payload) => {
     console.log('[Customer] Event: agent_joined', payload);
-    updateStatus('Agent joined the session');
+    reportEvent(pinCode, 'agent_joined', payload);
+    updateStatus(t('agentJoined'));
+    showAgentIndicator(payload?.userName || payload?.agentName);
+    sessionTimeouts?.agentJoined();
+    sessionState.followSdkEvent('agent_joined');
+    events.emit('agent_joined', { pinCode, agentName: payload?.userName || payload?.agentName || null });
   });
   
   session.on('agent_left', (payload) => {
     console.log('[Customer] Event: agent_left', payload);
-    updateStatus('Agent left the session');
+    reportEvent(pinCode, 'agent_left', payload);
+    updateStatus(t('agentLeft'));
+    hideAgentIndicator();
+    sessionTimeouts?.agentLeft();
+    sessionState.followSdkEvent('agent_left');
+    events.emit('agent_left', { pinCode });
   });
 }
 
@@ -263,7 +1579,7 @@ function setupEventListeners(session) {
  * @param {string} message - Status message to display
  */
 function updateStatus(message) {
-  const statusEl = document.getElementById('status');
+  const statusEl = getElement('status');
   if (statusEl) {
     statusEl.textContent = message;
   }
@@ -275,7 +1591,7 @@ function updateStatus(message) {
  * @param {string} pinCode - The PIN code to display
  */
 function displayPinCode(pinCode) {
-  const pinDisplay = document.getElementById('pin-display');
+  const pinDisplay = getElement('pin-display');
   if (pinDisplay) {
     pinDisplay.textContent = pinCode;
     pinDisplay.style.display = 'block';
@@ -287,28 +1603,127 @@ function displayPinCode(pinCode) {
  * Called when session ends.
  */
 function hidePinCode() {
-  const pinDisplay = document.getElementById('pin-display');
+  const pinDisplay = getElement('pin-display');
   if (pinDisplay) {
     pinDisplay.style.display = 'none';
     pinDisplay.textContent = '';
   }
 }
 
+/**
+ * Fills a list element with one text item per entry.
+ * @param {?HTMLElement} listEl - The <ul> to fill
+ * @param {string[]} items - Item texts
+ */
+function fillList(listEl, items) {
+  if (!listEl) {
+    return;
+  }
+  listEl.replaceChildren(...items.map((item) => {
+    const li = document.createElement('li');
+    li.textContent = item;
+    return li;
+  }));
+}
+
+/**
+ * Shows the "agent connected" indicator with its stop sharing button.
+ * Stays visible until the agent leaves or the session ends.
+ * @param {string} [agentName] - Agent display name, if the SDK provides it
+ */
+function showAgentIndicator(agentName) {
+  const indicator = getElement('agent-indicator');
+  if (indicator) {
+    const nameEl = getElement('agent-indicator-name');
+    if (nameEl) {
+      nameEl.textContent = agentName || t('anAgent');
+    }
+    indicator.hidden = false;
+  }
+}
+
+/**
+ * Shows the timeout warning with a live countdown. The "keep session
+ * open" button is only offered for timeouts that can be extended.
+ * @param {string} kind - Timeout kind ('no_agent', 'idle', 'max_duration')
+ * @param {number} deadline - When the session ends (ms timestamp)
+ */
+function showTimeoutWarning(kind, deadline) {
+  const warningEl = getElement('timeout-warning');
+  if (!warningEl) {
+    updateStatus(t('timeoutSoon', { message: t(TIMEOUT_MESSAGES[kind]) }));
+    return;
+  }
+  
+  const textEl = getElement('timeout-warning-text');
+  const extendBtn = getElement('timeout-extend');
+  if (extendBtn) {
+    extendBtn.hidden = kind === 'max_duration';
+  }
+  
+  const render = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    textEl.textContent = t('timeoutCountdown', { message: t(TIMEOUT_MESSAGES[kind]), seconds });
+  };
+  
+  clearInterval(timeoutWarningTimer);
+  render();
+  timeoutWarningTimer = setInterval(render, 1000);
+  warningEl.hidden = false;
+}
+
+/**
+ * Hides the timeout warning.
+ */
+function hideTimeoutWarning() {
+  clearInterval(timeoutWarningTimer);
+  timeoutWarningTimer = null;
+  const warningEl = getElement('timeout-warning');
+  if (warningEl) {
+    warningEl.hidden = true;
+  }
+}
+
+/**
+ * Hides the "agent connected" indicator.
+ */
+function hideAgentIndicator() {
+  const indicator = getElement('agent-indicator');
+  if (indicator) {
+    indicator.hidden = true;
+  }
+}
+
 // =============================================================================
 // Public API
 // =============================================================================
 
 /**
- * Exposed API for use in HTML event handlers.
+ * Exposed API for use in HTML event handlers and host pages.
  * 
  * @example
  * // In HTML:
  * <button onclick="CobrowseCustomer.startSession()">Start Session</button>
+ * 
+ * @example
+ * // React to the session from the host page (see Lifecycle Events)
+ * CobrowseCustomer.on('agent_joined', ({ agentName }) => showBanner(agentName));
  */
 window.CobrowseCustomer = {
+  on: events.on,
+  off: events.off,
+  once: events.once,
+  configure,
+  initialize,
   startSession,
   endSession,
+  stopSharing,
+  extendSession,
+  previewPiiMask,
+  setContext,
+  getContext,
   getSession: () => currentSession,
+  getState: () => sessionState.state,
   CONFIG
 };
 
@@ -316,8 +1731,44 @@ window.CobrowseCustomer = {
 // Initialization
 // =============================================================================
 
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Loads the client configuration, then resumes a session interrupted by a
+ * reload, starts the PII preview (?pii-preview), or reports ready.
+ * Runs once; called on DOMContentLoaded unless configure({ autoInit: false }).
+ * @returns {Promise<void>}
+ */
+function initialize() {
+  if (initialized) {
+    return Promise.resolve();
+  }
+  initialized = true;
+  
   console.log(`[Customer] Cobrowse Customer SDK Sample v${CONFIG.VERSION}`);
   console.log('[Customer] Mode: NPM with BYOP');
-  updateStatus('Ready');
+  
+  document.addEventListener('visibilitychange', reportVisibility);
+  
+  const params = new URLSearchParams(window.location.search);
+  
+  return loadClientConfig()
+    .then(async () => {
+      if (params.has('pii-preview')) {
+        return previewPiiMask(true, params.get('tenant') || undefined);
+      }
+      // After a reload, pick up where the session left off
+      if (loadResumeState()) {
+        return resumeSession();
+      }
+      updateStatus(t('ready'));
+    })
+    .catch((error) => {
+      console.error('[Customer] Failed to load config:', error);
+      updateStatus(t('configFailed'));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (autoInit) {
+    initialize();
+  }
 });
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Zoom Cobrowse SDK - Customer Widget Translations
+ *
+ * `widget` holds the widget's own labels; `session` overrides the customer
+ * page's status and consent texts (MESSAGES in main.js) for the language.
+ * English session texts are the defaults in main.js.
+ */
+
+export const TRANSLATIONS = {
+  en: {
+    widget: {
+      launcher: 'Get help',
+      title: 'Screen sharing support',
+      intro: 'Share this page with a support agent so they can see what you see. You can stop at any time.',
+      namePlaceholder: 'Your name (optional)',
+      start: 'Share this page',
+      end: 'End session',
+      close: 'Close',
+      pinHint: 'Tell the agent this code:',
+      consentTitle: 'Share this page with an agent?',
+      consentShared: 'The agent will see',
+      consentMasked: 'Hidden from the agent',
+      consentDecline: "Don't share",
+      consentAccept: 'Share this page',
+      indicator: 'can see this page',
+      stopSharing: 'Stop sharing',
+      extend: 'Keep session open',
+    },
+    session: {},
+  },
+
+  ja: {
+    widget: {
+      launcher: 'サポート',
+      title: '画面共有サポート',
+      intro: 'このページをサポート担当者と共有すると、担当者があなたと同じ画面を見ることができます。いつでも停止できます。',
+      namePlaceholder: 'お名前（任意）',
+      start: 'このページを共有',
+      end: 'セッションを終了',
+      close: '閉じる',
+      pinHint: '担当者にこのコードをお伝えください：',
+      consentTitle: 'このページを担当者と共有しますか？',
+      consentShared: '担当者に表示される内容',
+      consentMasked: '担当者には表示されない内容',
+      consentDecline: '共有しない',
+      consentAccept: '共有する',
+      indicator: 'がこのページを閲覧中です',
+      stopSharing: '共有を停止',
+      extend: 'セッションを継続',
+    },
+    session: {
+      ready: '準備完了',
+      configFailed: 'エラー: 設定を読み込めませんでした',
+      error: 'エラー: {message}',
+      unknownError: '不明なエラー',
+      sharingCancelled: '共有をキャンセルしました',
+      waitingForAgent: 'セッション開始 - 担当者を待っています',
+      stillWaiting: '引き続き担当者を待っています',
+      agentJoined: '担当者が参加しました',
+      agentLeft: '担当者が退出しました',
+      anAgent: '担当者',
+      sessionEnded: 'セッションが終了しました',
+      sessionTimedOut: 'セッションが終了しました（タイムアウト）',
+      resuming: 'セッションを再開しています...',
+      resumeFailed: '前回のセッションを再開できませんでした',
+      renewingToken: 'セッショントークンを更新しています...',
+      tokenRenewed: 'セッショントークンを更新しました',
+      tokenRenewFailed: 'セッショントークンを更新できませんでした',
+      tokenUnsupported: 'セッショントークンを更新できないため、セッションを終了しました',
+      sharedTab: 'このブラウザタブの表示内容（このサイト内で開く他のページを含む）',
+      sharedPointer: 'スクロール、マウスポインター、クリック',
+      sharedTyping: 'マスクされていない入力欄に入力した文字',
+      maskedAllInput: '入力欄に入力したすべての内容',
+      maskedField: '保護された入力欄',
+      maskedArea: 'ページ内の保護された領域',
+      maskedNothing: 'このページでマスクされる項目はありません',
+      consentConfirm: '担当者に表示される内容:\n- {shared}\n\n担当者には表示されない内容:\n- {masked}\n\nこのページを共有しますか？（ポリシーバージョン {version}）',
+      consentPolicy: 'ポリシーバージョン {version}',
+      consentPolicyLink: 'ポリシー全文を読む',
+      timeoutNoAgent: 'まだ担当者が参加していません',
+      timeoutIdle: '担当者が接続されていません',
+      timeoutMaxDuration: 'セッションの最大時間に達しました',
+      timeoutSoon: '{message} - まもなくセッションが終了します',
+      timeoutCountdown: '{message} - あと{seconds}秒でセッションが終了します',
+      piiPreview: 'PIIプレビュー（ポリシー {version}）',
+    },
+  },
+};
+
+/**
+ * Picks the translation for a language tag such as 'ja-JP', falling back to English.
+ * @param {string} [language] - BCP 47 language tag
+ * @returns {{widget: object, session: object}}
+ */
+export function getTranslation(language) {
+  const base = String(language || '').toLowerCase().split('-')[0];
+  return TRANSLATIONS[base] || TRANSLATIONS.en;
+}
@@ -0,0 +1,347 @@
+/**
+ * Zoom Cobrowse SDK - Embeddable Customer Widget
+ *
+ * Drop-in version of the customer page for any website: one script tag
+ * adds a floating "Get help" button that opens the PIN panel. The UI lives
+ * in a shadow DOM so the host page's styles cannot break it (and the
+ * widget's styles cannot leak out).
+ *
+ * @example
+ * <script src="https://cobrowse.example.com/dist/cobrowse-widget.js"
+ *   data-cobrowse-widget
+ *   data-server-url="https://cobrowse.example.com"
+ *   data-theme="dark"
+ *   data-position="bottom-left"
+ *   data-language="ja"
+ *   data-tenant="acme-gmbh"></script>
+ *
+ * All attributes are optional. The server URL defaults to where the script
+ * is served from; it must list the host page's origin in CORS_ORIGINS.
+ * window.CobrowseCustomer stays available for programmatic control.
+ */
+
+import './main.js';
+import { getTranslation } from './widget-i18n.js';
+
+// =============================================================================
+// Options
+// =============================================================================
+
+const THEMES = ['light', 'dark'];
+const POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+
+/** The widget's own script tag (currentScript is only set while it runs) */
+const script = document.currentScript || document.querySelector('script[data-cobrowse-widget]');
+const dataset = script ? script.dataset : {};
+
+/**
+ * Reads the widget options from the script tag's data- attributes.
+ * @returns {{serverUrl: string, theme: string, position: string, language: string, tenant: ?string}}
+ */
+function readOptions() {
+  const scriptOrigin = script && script.src ? new URL(script.src, window.location.href).origin : window.location.origin;
+  return {
+    serverUrl: dataset.serverUrl || scriptOrigin,
+    theme: THEMES.includes(dataset.theme) ? dataset.theme : 'light',
+    position: POSITIONS.includes(dataset.position) ? dataset.position : 'bottom-right',
+    language: dataset.language || document.documentElement.lang || 'en',
+    tenant: dataset.tenant || null,
+  };
+}
+
+const options = readOptions();
+const texts = getTranslation(options.language);
+
+// Before DOMContentLoaded, so main.js waits for the widget's UI
+window.CobrowseCustomer.configure({
+  serverUrl: options.serverUrl,
+  messages: texts.session,
+  autoInit: false,
+});
+
+// =============================================================================
+// Markup
+// =============================================================================
+
+const STYLE = `
+  :host {
+    all: initial;
+    position: fixed;
+    z-index: 2147483000;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+    --cb-bg: #ffffff;
+    --cb-fg: #333333;
+    --cb-muted: #666666;
+    --cb-border: #dddddd;
+    --cb-accent: #0e71eb;
+    --cb-accent-hover: #0b5bc4;
+    --cb-pin-bg: #e8f4fd;
+  }
+  :host([data-theme="dark"]) {
+    --cb-bg: #1f2328;
+    --cb-fg: #e6e6e6;
+    --cb-muted: #a0a4a8;
+    --cb-border: #3a3f45;
+    --cb-accent: #4c9aff;
+    --cb-accent-hover: #2f86ff;
+    --cb-pin-bg: #18324f;
+  }
+  :host([data-position="bottom-right"]) { right: 20px; bottom: 20px; }
+  :host([data-position="bottom-left"]) { left: 20px; bottom: 20px; }
+  :host([data-position="top-right"]) { right: 20px; top: 20px; }
+  :host([data-position="top-left"]) { left: 20px; top: 20px; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  [hidden] { display: none !important; }
+
+  .widget {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+  }
+  :host([data-position^="top"]) .widget { flex-direction: column-reverse; }
+  :host([data-position$="right"]) .widget { align-items: flex-end; }
+  :host([data-position$="left"]) .widget { align-items: flex-start; }
+
+  .btn {
+    padding: 8px 16px;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font: inherit;
+    transition: background-color 0.2s;
+  }
+  .btn-primary { background: var(--cb-accent); color: white; }
+  .btn-primary:hover { background: var(--cb-accent-hover); }
+  .btn-danger { background: #dc3545; color: white; }
+  .btn-danger:hover { background: #c82333; }
+  .btn-secondary { background: transparent; color: var(--cb-fg); border: 1px solid var(--cb-border); }
+
+  .launcher {
+    padding: 12px 20px;
+    border-radius: 24px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+    font-weight: 600;
+  }
+
+  .panel {
+    width: 320px;
+    max-width: calc(100vw - 40px);
+    padding: 16px;
+    background: var(--cb-bg);
+    color: var(--cb-fg);
+    border: 1px solid var(--cb-border);
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+  }
+  .panel-header { display: flex; align-items: center; gap: 8px; }
+  .panel-header h2 { font-size: 16px; margin-right: auto; }
+  .close {
+    background: none;
+    border: none;
+    color: var(--cb-muted);
+    font-size: 20px;
+    line-height: 1;
+    cursor: pointer;
+  }
+  .intro, .pin-hint, .status { color: var(--cb-muted); line-height: 1.4; }
+  .name-input {
+    padding: 8px 12px;
+    border: 1px solid var(--cb-border);
+    border-radius: 4px;
+    background: var(--cb-bg);
+    color: var(--cb-fg);
+    font: inherit;
+  }
+  .name-input:focus { outline: none; border-color: var(--cb-accent); }
+  .actions { display: flex; gap: 8px; }
+
+  .pin-display {
+    display: none;
+    background: var(--cb-pin-bg);
+    border: 2px solid var(--cb-accent);
+    border-radius: 8px;
+    padding: 8px 16px;
+    font-size: 22px;
+    font-weight: bold;
+    font-family: monospace;
+    letter-spacing: 2px;
+    text-align: center;
+    color: var(--cb-accent);
+  }
+
+  .agent-indicator, .timeout-warning {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    border-radius: 6px;
+    line-height: 1.4;
+  }
+  .agent-indicator { background: #e6f4ea; color: #1e7e34; }
+  .agent-indicator-dot {
+    flex: none;
+    width: 10px;
+    height: 10px;
+    border-radius: 50%;
+    background: #28a745;
+  }
+  .agent-indicator span { margin-right: auto; }
+  .timeout-warning { flex-direction: column; align-items: stretch; background: #fff3cd; color: #856404; }
+
+  .consent-dialog {
+    margin: auto;
+    max-width: 460px;
+    padding: 20px;
+    border: none;
+    border-radius: 8px;
+    background: var(--cb-bg);
+    color: var(--cb-fg);
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+  }
+  .consent-dialog::backdrop { background: rgba(0, 0, 0, 0.4); }
+  .consent-dialog h2 { font-size: 18px; margin-bottom: 12px; }
+  .consent-dialog h3 { font-size: 14px; margin: 12px 0 4px; }
+  .consent-dialog ul { padding-left: 20px; line-height: 1.5; }
+  .consent-policy { margin-top: 12px; font-size: 12px; color: var(--cb-muted); }
+  .consent-policy a { color: var(--cb-accent); }
+  .consent-actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+`;
+
+const MARKUP = `
+  <div class="widget">
+    <section class="panel" id="widget-panel" role="dialog" aria-labelledby="widget-title" hidden>
+      <div class="panel-header">
+        <h2 id="widget-title" data-text="title"></h2>
+        <button type="button" class="close" id="widget-close">&times;</button>
+      </div>
+      <p class="intro" data-text="intro"></p>
+      <input type="text" id="customer-name" class="name-input" maxlength="64">
+      <div class="actions">
+        <button type="button" class="btn btn-primary" id="widget-start" data-text="start"></button>
+        <button type="button" class="btn btn-danger" id="widget-end" data-text="end" hidden></button>
+      </div>
+      <p class="pin-hint" id="widget-pin-hint" data-text="pinHint" hidden></p>
+      <div id="pin-display" class="pin-display"></div>
+      <p class="status" id="status" role="status"></p>
+      <div id="timeout-warning" class="timeout-warning" role="alert" hidden>
+        <span id="timeout-warning-text"></span>
+        <button type="button" id="timeout-extend" class="btn btn-primary" data-text="extend"></button>
+      </div>
+    </section>
+
+    <div id="agent-indicator" class="agent-indicator" role="status" hidden>
+      <span class="agent-indicator-dot"></span>
+      <span><strong id="agent-indicator-name"></strong> <span data-text="indicator"></span></span>
+      <button type="button" class="btn btn-danger" id="widget-stop-sharing" data-text="stopSharing"></button>
+    </div>
+
+    <button type="button" class="btn btn-primary launcher" id="widget-launcher" aria-controls="widget-panel" aria-expanded="false" data-text="launcher"></button>
+  </div>
+
+  <dialog id="consent-dialog" class="consent-dialog">
+    <h2 data-text="consentTitle"></h2>
+    <h3 data-text="consentShared"></h3>
+    <ul id="consent-shared"></ul>
+    <h3 data-text="consentMasked"></h3>
+    <ul id="consent-masked"></ul>
+    <p class="consent-policy" id="consent-policy"></p>
+    <div class="consent-actions">
+      <button type="button" id="consent-decline" class="btn btn-secondary" data-text="consentDecline"></button>
+      <button type="button" id="consent-accept" class="btn btn-primary" data-text="consentAccept"></button>
+    </div>
+  </dialog>
+`;
+
+// =============================================================================
+// Mounting
+// =============================================================================
+
+/**
+ * Creates the widget's host element and shadow DOM, wires its buttons to
+ * window.CobrowseCustomer and initializes the customer page inside it.
+ */
+function mount() {
+  const host = document.createElement('div');
+  host.id = 'cobrowse-widget';
+  host.dataset.theme = options.theme;
+  host.dataset.position = options.position;
+  host.lang = options.language;
+
+  const root = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = STYLE;
+  const template = document.createElement('template');
+  template.innerHTML = MARKUP;
+  root.append(style, template.content);
+
+  // Texts are set as text, never parsed as HTML
+  root.querySelectorAll('[data-text]').forEach((el) => {
+    el.textContent = texts.widget[el.dataset.text];
+  });
+  const nameInput = root.getElementById('customer-name');
+  nameInput.placeholder = texts.widget.namePlaceholder;
+  root.getElementById('widget-close').setAttribute('aria-label', texts.widget.close);
+
+  const panel = root.getElementById('widget-panel');
+  const launcher = root.getElementById('widget-launcher');
+  const startBtn = root.getElementById('widget-start');
+  const endBtn = root.getElementById('widget-end');
+  const pinHint = root.getElementById('widget-pin-hint');
+
+  const setPanelOpen = (open) => {
+    panel.hidden = !open;
+    launcher.setAttribute('aria-expanded', String(open));
+  };
+
+  // The session can also end without the widget (agent, timeout, stop
+  // sharing), so the buttons follow the session state
+  const syncButtons = (state) => {
+    const idle = ['idle', 'ended', 'error'].includes(state);
+    const sharing = state === 'started' || state === 'connected';
+    startBtn.hidden = !idle;
+    startBtn.disabled = !idle;
+    endBtn.hidden = !sharing;
+    nameInput.disabled = !idle;
+    pinHint.hidden = !sharing;
+  };
+  window.CobrowseCustomer.on('state_changed', ({ state }) => syncButtons(state));
+  syncButtons(window.CobrowseCustomer.getState());
+
+  launcher.addEventListener('click', () => setPanelOpen(panel.hidden));
+  root.getElementById('widget-close').addEventListener('click', () => setPanelOpen(false));
+
+  startBtn.addEventListener('click', () => {
+    window.CobrowseCustomer.startSession({
+      userName: nameInput.value.trim() || undefined,
+      tenant: options.tenant || undefined,
+    }).catch(() => {
+      // startSession has already shown the error in the status line
+    });
+  });
+  endBtn.addEventListener('click', () => window.CobrowseCustomer.endSession());
+  root.getElementById('widget-stop-sharing').addEventListener('click', () => {
+    window.CobrowseCustomer.stopSharing();
+  });
+  root.getElementById('timeout-extend').addEventListener('click', () => {
+    window.CobrowseCustomer.extendSession();
+  });
+
+  document.body.appendChild(host);
+  window.CobrowseCustomer.configure({ root });
+
+  console.log('[Customer] Widget mounted:', options.theme, options.position, options.language);
+
+  // A resumed session should be visible right away
+  window.CobrowseCustomer.once('session_resumed', () => setPanelOpen(true));
+  window.CobrowseCustomer.initialize();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', mount);
+} else {
+  mount();
+}
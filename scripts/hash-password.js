@@ -0,0 +1,19 @@
+/**
+ * Prints a passwordHash value for data/agents.json.
+ *
+ * Usage: npm run hash-password -- <password>
+ */
+
+const crypto = require('crypto');
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+const salt = crypto.randomBytes(16);
+const key = crypto.scryptSync(password, salt, 32);
+
+console.log(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
@@ -0,0 +1,57 @@
+/**
+ * Local receiver for testing outbound webhooks: verifies the signature and
+ * prints each delivery.
+ *
+ * Usage: WEBHOOK_SECRET=<secret> npm run webhook-receiver -- [port] [--fail]
+ *
+ * --fail answers every delivery with 500, to watch the retries and the
+ * failed deliveries in GET /webhooks/deliveries?status=failed.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const secret = process.env.WEBHOOK_SECRET;
+const port = parseInt(process.argv.slice(2).find(arg => /^\d+$/.test(arg)), 10) || 9000;
+const fail = process.argv.includes('--fail');
+const TOLERANCE = 5 * 60;  // Seconds a timestamp may be off
+
+if (!secret) {
+  console.error('Usage: WEBHOOK_SECRET=<secret> npm run webhook-receiver -- [port] [--fail]');
+  process.exit(1);
+}
+
+function verify(headers, body) {
+  const timestamp = parseInt(headers['x-cobrowse-timestamp'], 10);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE) {
+    return 'stale or missing timestamp';
+  }
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const actual = String(headers['x-cobrowse-signature'] || '');
+  const ok = actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+  return ok ? null : 'signature mismatch';
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString();
+    const error = verify(req.headers, body);
+    const delivery = req.headers['x-cobrowse-delivery'];
+
+    if (error) {
+      console.log(`[${new Date().toISOString()}] Rejected ${delivery}: ${error}`);
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    const { event, session } = JSON.parse(body);
+    console.log(`[${new Date().toISOString()}] ${event} ${session.pinCode} (delivery ${delivery})${fail ? ' - answering 500' : ''}`);
+    res.writeHead(fail ? 500 : 204);
+    res.end();
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver on http://localhost:${port}/`);
+});
@@ -0,0 +1,52 @@
+/**
+ * Sends a Zoom webhook fixture (scripts/fixtures/zoom) to the server,
+ * signed the way Zoom signs it, to test /zoom/webhook offline.
+ *
+ * Usage: ZOOM_WEBHOOK_SECRET=<secret> npm run zoom-webhook -- <fixture> [PIN]
+ *
+ * <fixture> is a file name such as session-ended.json (or a path). The PIN
+ * replaces the fixture's pin_code; reserve one with POST /pins first.
+ * ZOOM_WEBHOOK_URL defaults to http://localhost:8080/zoom/webhook.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const secret = process.env.ZOOM_WEBHOOK_SECRET;
+const url = process.env.ZOOM_WEBHOOK_URL || 'http://localhost:8080/zoom/webhook';
+const [fixture, pinCode] = process.argv.slice(2);
+
+if (!secret || !fixture) {
+  console.error('Usage: ZOOM_WEBHOOK_SECRET=<secret> npm run zoom-webhook -- <fixture> [PIN]');
+  process.exit(1);
+}
+
+const file = fs.existsSync(fixture) ? fixture : path.join(__dirname, 'fixtures', 'zoom', fixture);
+const event = JSON.parse(fs.readFileSync(file, 'utf8'));
+event.event_ts = Date.now();
+if (pinCode && event.payload.object) {
+  event.payload.object.pin_code = pinCode;
+}
+
+const body = JSON.stringify(event);
+const timestamp = Math.floor(Date.now() / 1000);
+const signature = 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+
+fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'x-zm-request-timestamp': String(timestamp),
+    'x-zm-signature': signature
+  },
+  body
+})
+  .then(async (response) => {
+    console.log(`${response.status} ${await response.text()}`);
+    process.exitCode = response.ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error(`Could not reach ${url}:`, error.message);
+    process.exitCode = 1;
+  });
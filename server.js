@@ -9,21 +9,117 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { generatePinCode, validatePinCode, PIN_MIN_LENGTH, PIN_MAX_LENGTH } = require('./shared/pin-code');
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const PORT = process.env.PORT || 8080;
 const ROOT_DIR = __dirname;
+const DATA_DIR = path.join(ROOT_DIR, 'data');  // Server-side only, never served
 
-// SDK credentials from environment variables
+function envJson(name, defaultValue) {
+  if (!process.env[name]) {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (e) {
+    console.error(`Ignoring ${name}: not valid JSON (${e.message})`);
+    return defaultValue;
+  }
+}
+
+// Like parseInt(...) || default, but keeps an explicit 0 ("disabled")
+function envSeconds(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+function envFlag(name, defaultValue) {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : !/^(0|false|no|off)$/i.test(value);
+}
+
+// SDK credentials and deployment settings from environment variables
 const CONFIG = {
   SDK_KEY: process.env.SDK_KEY || 'YOUR_SDK_KEY_HERE',
   SDK_SECRET: process.env.SDK_SECRET || 'YOUR_SDK_SECRET_HERE',
-  TOKEN_EXPIRY: 3600,
-  ZOOM_DOMAIN: 'us01-zcb.zoom.us'
+  TOKEN_EXPIRY: parseInt(process.env.TOKEN_EXPIRY, 10) || 3600,  // Seconds
+  TOKEN_REFRESH_GRACE: 300,  // Seconds past expiry a token can still be refreshed
+  USER_NAME_MAX_LENGTH: 64,
+  USER_ID_MAX_LENGTH: 64,
+  ZOOM_DOMAIN: process.env.ZOOM_DOMAIN || 'us01-zcb.zoom.us',
+  DEFAULT_REGION: process.env.DEFAULT_REGION || 'us',
+  ZOOM_REGIONS: envJson('ZOOM_REGIONS', null),        // { "<region>": "<zoom domain>" }
+  TENANT_REGIONS: envJson('TENANT_REGIONS', {}),      // { "<tenant>": "<region>" }
+  REGION_TIMEZONE_HINTS: envJson('REGION_TIMEZONE_HINTS', {}),  // { "Europe/": "eu" }
+  PIN_LENGTH: Math.min(Math.max(parseInt(process.env.PIN_LENGTH, 10) || 8, PIN_MIN_LENGTH), PIN_MAX_LENGTH),  // Includes the check character
+  PII_POLICY_FILE: process.env.PII_POLICY_FILE || path.join(DATA_DIR, 'pii-policy.json'),
+  PII_MASK_TYPE: process.env.PII_MASK_TYPE || 'custom_input',    // Used when there is no policy file
+  PII_MASK_SELECTORS: process.env.PII_MASK_SELECTORS || '.hideme',
+  FEATURES: {
+    queue: envFlag('FEATURE_QUEUE', true),   // Customers join the support queue after start
+    audit: envFlag('FEATURE_AUDIT', true)    // Pages report lifecycle events to /events
+  },
+  SESSION_TIMEOUTS: {  // Seconds, 0 disables; enforced by the pages
+    noAgent: envSeconds('SESSION_NO_AGENT_TIMEOUT', 900),      // No agent joined after session_started
+    idle: envSeconds('SESSION_IDLE_TIMEOUT', 600),             // No agent present after agent_left
+    maxDuration: envSeconds('SESSION_MAX_DURATION', 7200),     // Hard limit on session length
+    warning: envSeconds('SESSION_TIMEOUT_WARNING', 60)         // Warning shown before each timeout
+  },
+  PIN_TTL: parseInt(process.env.PIN_TTL, 10) || 600,  // Seconds an unclaimed PIN stays valid
+  QUEUE_TTL: parseInt(process.env.QUEUE_TTL, 10) || 1800,  // Seconds a queued PIN stays valid
+  AGENT_USERS_FILE: process.env.AGENT_USERS_FILE || path.join(DATA_DIR, 'agents.json'),
+  AGENT_SESSION_TTL: parseInt(process.env.AGENT_SESSION_TTL, 10) || 8 * 3600,  // Seconds
+  AGENT_SESSION_COOKIE: 'cobrowse_agent',
+  MAX_BODY_BYTES: 16 * 1024,
+  TRUST_PROXY: envFlag('TRUST_PROXY', false),  // Take the client IP from X-Forwarded-For (Cloud Run, load balancers)
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean),  // Sites embedding the widget, or *
+  RATE_LIMIT: {
+    WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60,              // Seconds
+    TOKEN_PER_IP: parseInt(process.env.RATE_LIMIT_TOKEN_PER_IP, 10) || 30,  // Token requests per IP per window
+    TOKEN_PER_IDENTITY: parseInt(process.env.RATE_LIMIT_TOKEN_PER_IDENTITY, 10) || 10,
+    PIN_PER_IP: parseInt(process.env.RATE_LIMIT_PIN_PER_IP, 10) || 20,        // PIN reservations per IP per window
+    FAILURE_WINDOW: parseInt(process.env.RATE_LIMIT_FAILURE_WINDOW, 10) || 600,  // Seconds
+    MAX_FAILURES: parseInt(process.env.RATE_LIMIT_MAX_FAILURES, 10) || 10,       // Before lockout
+    LOCKOUT: parseInt(process.env.RATE_LIMIT_LOCKOUT, 10) || 900                 // Seconds
+  },
+  AUDIT_DIR: process.env.AUDIT_DIR || path.join(DATA_DIR, 'audit'),
+  AUDIT_MAX_PAYLOAD: 4096,      // Bytes of JSON kept per event payload
+  AUDIT_MAX_QUERY_DAYS: 31,
+  CONSENT_FILE: process.env.CONSENT_FILE || path.join(DATA_DIR, 'consents.ndjson'),
+  CONSENT_POLICY_VERSION: process.env.CONSENT_POLICY_VERSION || '1',  // Bump when the consent wording changes
+  CONSENT_POLICY_URL: process.env.CONSENT_POLICY_URL || null,         // Full policy linked from the prompt
+  WRAPUP_FILE: process.env.WRAPUP_FILE || path.join(DATA_DIR, 'wrapups.ndjson'),
+  DISPOSITION_CODES: envJson('DISPOSITION_CODES', [  // [{ "code": "...", "label": "..." }] offered in the wrap-up form
+    { code: 'resolved', label: 'Resolved' },
+    { code: 'follow_up', label: 'Follow-up needed' },
+    { code: 'escalated', label: 'Escalated' },
+    { code: 'customer_left', label: 'Customer left' },
+    { code: 'technical_issue', label: 'Technical issue' },
+    { code: 'other', label: 'Other' }
+  ]),
+  WRAPUP_NOTES_MAX_LENGTH: 2000,
+  CONTEXT_MAX_FIELDS: 20,          // Custom context fields per session
+  CONTEXT_MAX_VALUE_LENGTH: 256,
+  WEBHOOKS: envJson('WEBHOOKS', []),  // [{ "id": "...", "url": "...", "secret": "...", "events": [...] }]
+  WEBHOOK_DELIVERY_FILE: process.env.WEBHOOK_DELIVERY_FILE || path.join(DATA_DIR, 'webhook-deliveries.ndjson'),
+  WEBHOOK_TIMEOUT: 10,  // Seconds per delivery attempt
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  WEBHOOK_RETRY_BASE: parseInt(process.env.WEBHOOK_RETRY_BASE, 10) || 5,  // Seconds before the first retry, doubled each time
+  WEBHOOK_RETRY_MAX: 600,  // Seconds, longest wait between attempts
+  WEBHOOK_LOG_RETENTION: 7,  // Days delivered entries stay in the delivery log
+  ZOOM_WEBHOOK_SECRET: process.env.ZOOM_WEBHOOK_SECRET || '',  // Secret token of the Zoom app's event subscription; /zoom/webhook is disabled while empty
+  ZOOM_WEBHOOK_TOLERANCE: 300,  // Seconds a Zoom webhook timestamp may be off
+  ADMIN_USER: process.env.ADMIN_USER || 'admin',
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || '',  // Admin dashboard is disabled while empty
+  ADMIN_RECENT_SESSIONS: 50
 };
 
+// Without ZOOM_REGIONS there is a single region served by ZOOM_DOMAIN
+CONFIG.ZOOM_REGIONS = CONFIG.ZOOM_REGIONS || { [CONFIG.DEFAULT_REGION]: CONFIG.ZOOM_DOMAIN };
+
 // MIME types
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -41,11 +137,12 @@ const MIME_TYPES = {
 // ============================================
 // TOKEN GENERATION
 // ============================================
-function generateToken(sdkKey, sdkSecret, role = 1) {
+function generateToken(sdkKey, sdkSecret, role = 1, identity = {}) {
   console.log(`Generating token with SDK Key: ${sdkKey}`);
   const now = Math.floor(Date.now() / 1000);
   const exp = now + CONFIG.TOKEN_EXPIRY;
-  const uniqueId = `user_${Date.now()}`;
+  const userId = identity.userId || `user_${crypto.randomUUID()}`;
+  const userName = identity.userName || userId;
   
   const header = { alg: 'HS256', typ: 'JWT' };
   const payload = {
@@ -53,8 +150,8 @@ function generateToken(sdkKey, sdkSecret, role = 1) {
     role_type: role,
     iat: now,
     exp: exp,
-    user_id: uniqueId,        // Required
-    user_name: uniqueId,      // Required
+    user_id: userId,          // Required
+    user_name: userName,      // Required
     enable_byop: 1            // Required for BYOP mode
   };
   
@@ -79,145 +176,2656 @@ function generateToken(sdkKey, sdkSecret, role = 1) {
   return `${headerEncoded}.${payloadEncoded}.${signature}`;
 }
 
+// Checks a token this server signed and returns its payload, or null.
+// Expired tokens are still accepted for TOKEN_REFRESH_GRACE seconds so a
+// client that missed its refresh (e.g. a sleeping laptop) can renew.
+function verifyToken(token, sdkSecret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', sdkSecret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest('base64url');
+  if (!safeEqual(parts[2], expected)) {
+    return null;
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (e) {
+    return null;
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.app_key !== CONFIG.SDK_KEY || payload.exp + CONFIG.TOKEN_REFRESH_GRACE < now) {
+    return null;
+  }
+  return payload;
+}
+
 // ============================================
-// REQUEST HANDLING
+// IDENTITY VALIDATION
 // ============================================
-function parseBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (e) {
-        resolve({});
-      }
-    });
-  });
-}
+const USER_ID_PATTERN = /^[A-Za-z0-9_.@:-]+$/;
 
-function serveFile(res, filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+/**
+ * Validates the optional customer identity sent with a token request.
+ * Display names have control characters stripped and whitespace collapsed;
+ * IDs must be plain identifiers. Returns { identity } or { error, field }.
+ */
+function validateIdentity(body) {
+  const identity = {};
   
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      if (err.code === 'ENOENT') {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('404 Not Found');
-      } else {
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('500 Internal Server Error');
-      }
-      return;
+  if (body.userName !== undefined) {
+    if (typeof body.userName !== 'string') {
+      return { error: 'userName must be a string', field: 'userName' };
     }
-    
-    res.writeHead(200, { 
-      'Content-Type': contentType,
-      'Cache-Control': 'public, max-age=3600'
-    });
-    res.end(data);
-  });
-}
-
-async function handleTokenRequest(req, res, url) {
-  res.setHeader('Content-Type', 'application/json');
+    const userName = body.userName.replace(/[\p{Cc}\p{Cf}]/gu, '').replace(/\s+/g, ' ').trim();
+    if (!userName) {
+      return { error: 'userName must not be empty', field: 'userName' };
+    }
+    if (userName.length > CONFIG.USER_NAME_MAX_LENGTH) {
+      return { error: `userName must be at most ${CONFIG.USER_NAME_MAX_LENGTH} characters`, field: 'userName' };
+    }
+    identity.userName = userName;
+  }
   
-  try {
-    let role = 1; // Default to customer role
-    
-    if (req.method === 'POST') {
-      const body = await parseBody(req);
-      console.log('Token request body:', body);
-      role = body.role || role;
+  if (body.userId !== undefined) {
+    if (typeof body.userId !== 'string' || !USER_ID_PATTERN.test(body.userId)) {
+      return { error: 'userId may only contain letters, digits and _ . @ : -', field: 'userId' };
     }
-    
-    if (CONFIG.SDK_KEY === 'YOUR_SDK_KEY_HERE' || CONFIG.SDK_SECRET === 'YOUR_SDK_SECRET_HERE') {
-      res.writeHead(500);
-      res.end(JSON.stringify({
-        error: 'SDK_KEY and SDK_SECRET environment variables must be set'
-      }));
-      return;
+    if (body.userId.length > CONFIG.USER_ID_MAX_LENGTH) {
+      return { error: `userId must be at most ${CONFIG.USER_ID_MAX_LENGTH} characters`, field: 'userId' };
     }
-    
-    const token = generateToken(CONFIG.SDK_KEY, CONFIG.SDK_SECRET, role);
-    
-    console.log(`[${new Date().toISOString()}] Token generated for role: ${role}`);
-    
-    res.writeHead(200);
-    res.end(JSON.stringify({
-      token: token,
-      role: role,
-      expiresIn: CONFIG.TOKEN_EXPIRY,
-      domain: CONFIG.ZOOM_DOMAIN
-    }));
-    
-  } catch (error) {
-    console.error('Token generation error:', error);
-    res.writeHead(500);
-    res.end(JSON.stringify({ error: error.message }));
+    identity.userId = body.userId;
   }
+  
+  return { identity };
 }
 
 // ============================================
-// HTTP SERVER
+// REGION SELECTION
 // ============================================
-const server = http.createServer(async (req, res) => {
-  // CORS headers
-  //res.setHeader('Access-Control-Allow-Origin', '*');
-  //res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  //res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
+const REGION_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+function isKnownRegion(region) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.ZOOM_REGIONS, region);
+}
+
+// A hint is either a region name or an IANA time zone matched by prefix
+// against REGION_TIMEZONE_HINTS (e.g. "Europe/Berlin" -> "eu").
+function regionFromHint(hint) {
+  if (typeof hint !== 'string') {
+    return null;
+  }
+  if (isKnownRegion(hint.toLowerCase())) {
+    return hint.toLowerCase();
+  }
+  const prefix = Object.keys(CONFIG.REGION_TIMEZONE_HINTS).find(p => hint.startsWith(p));
+  return prefix && isKnownRegion(CONFIG.REGION_TIMEZONE_HINTS[prefix]) ? CONFIG.REGION_TIMEZONE_HINTS[prefix] : null;
+}
+
+/**
+ * Picks the Zoom region for a token: an explicit region wins, then the
+ * tenant's region, then the hint, then DEFAULT_REGION.
+ * Returns { region, domain } or { error, field }.
+ */
+function resolveRegion({ region, tenant, hint }) {
+  if (region !== undefined) {
+    if (typeof region !== 'string' || !REGION_PATTERN.test(region) || !isKnownRegion(region)) {
+      return { error: `Unknown region (expected one of: ${Object.keys(CONFIG.ZOOM_REGIONS).join(', ')})`, field: 'region' };
+    }
+  } else if (tenant !== undefined) {
+    if (typeof tenant !== 'string' || !USER_ID_PATTERN.test(tenant)) {
+      return { error: 'tenant may only contain letters, digits and _ . @ : -', field: 'tenant' };
+    }
+    region = CONFIG.TENANT_REGIONS[tenant];
   }
   
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  const pathname = url.pathname;
+  region = region || regionFromHint(hint) || CONFIG.DEFAULT_REGION;
   
-  console.log(`[${new Date().toISOString()}] ${req.method} ${pathname}`);
+  if (!isKnownRegion(region)) {
+    return { error: `Region ${region} has no Zoom domain configured`, field: 'region' };
+  }
+  return { region, domain: CONFIG.ZOOM_REGIONS[region] };
+}
+
+// ============================================
+// AGENT AUTHENTICATION
+// ============================================
+// Agents are listed in AGENT_USERS_FILE (see data/agents.example.json).
+// Each entry may carry a scrypt password hash for the login form and/or
+// the SHA-256 hash of a pre-shared API key for scripted access.
+// Use `npm run hash-password -- <password>` to produce passwordHash values.
+const agentSessions = new Map();
+
+function loadAgents() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CONFIG.AGENT_USERS_FILE, 'utf8'));
+    return Array.isArray(data.agents) ? data.agents : [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`Failed to load agents from ${CONFIG.AGENT_USERS_FILE}:`, e.message);
+    }
+    return [];
+  }
+}
+
+const AGENTS = loadAgents();
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// passwordHash format: scrypt$<salt hex>$<key hex>
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, key] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+  const derived = crypto.scryptSync(password, Buffer.from(salt, 'hex'), key.length / 2);
+  return safeEqual(derived.toString('hex'), key);
+}
+
+function findAgentByPassword(username, password) {
+  const agent = AGENTS.find(a => a.username === username);
+  // Hash anyway for unknown users so response time doesn't reveal them
+  const ok = verifyPassword(String(password), agent ? agent.passwordHash : 'scrypt$00$00');
+  return agent && ok ? agent : null;
+}
+
+function findAgentByApiKey(apiKey) {
+  const digest = crypto.createHash('sha256').update(apiKey).digest('hex');
+  return AGENTS.find(a => a.apiKeyHash && safeEqual(a.apiKeyHash, digest)) || null;
+}
+
+function publicAgent(agent) {
+  return { id: agent.id, name: agent.name || agent.id, region: agent.region, tenant: agent.tenant };
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function createAgentSession(agent) {
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  agentSessions.set(sessionId, {
+    agent: publicAgent(agent),
+    expiresAt: Date.now() + CONFIG.AGENT_SESSION_TTL * 1000
+  });
+  return sessionId;
+}
+
+/**
+ * Returns the agent behind a request - from the session cookie or an
+ * `Authorization: Bearer <api key>` header - or null.
+ */
+function getAuthenticatedAgent(req) {
+  const sessionId = parseCookies(req)[CONFIG.AGENT_SESSION_COOKIE];
+  if (sessionId) {
+    const session = agentSessions.get(sessionId);
+    if (session && session.expiresAt > Date.now()) {
+      return session.agent;
+    }
+    agentSessions.delete(sessionId);
+  }
   
-  // API Routes
-  if (pathname === '/token') {
-    await handleTokenRequest(req, res, url);
-    return;
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) {
+    const agent = findAgentByApiKey(auth.slice(7).trim());
+    if (agent) {
+      return publicAgent(agent);
+    }
   }
   
-  if (pathname === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok' }));
-    return;
+  return null;
+}
+
+function sessionCookie(value, maxAge) {
+  return `${CONFIG.AGENT_SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+function sweepAgentSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of agentSessions) {
+    if (session.expiresAt <= now) {
+      agentSessions.delete(sessionId);
+    }
+  }
+}
+
+setInterval(sweepAgentSessions, 10 * 60 * 1000).unref();
+
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+// The admin dashboard uses HTTP Basic auth against ADMIN_USER/ADMIN_PASSWORD.
+function isAdmin(req) {
+  const auth = req.headers.authorization || '';
+  if (!CONFIG.ADMIN_PASSWORD || !auth.startsWith('Basic ')) {
+    return false;
+  }
+  const decoded = Buffer.from(auth.slice(6), 'base64').toString();
+  const index = decoded.indexOf(':');
+  return index >= 0 &&
+    safeEqual(decoded.slice(0, index), CONFIG.ADMIN_USER) &&
+    safeEqual(decoded.slice(index + 1), CONFIG.ADMIN_PASSWORD);
+}
+
+/**
+ * Sends the appropriate error and returns false unless the request
+ * carries valid admin credentials.
+ */
+function requireAdmin(req, res) {
+  if (!CONFIG.ADMIN_PASSWORD) {
+    sendJson(res, 503, { error: 'Admin access is not configured (set ADMIN_PASSWORD)' });
+    return false;
+  }
+  if (!isAdmin(req)) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Cobrowse Admin", charset="UTF-8"');
+    sendJson(res, 401, { error: 'Admin credentials required' });
+    return false;
+  }
+  return true;
+}
+
+// ============================================
+// PII POLICY
+// ============================================
+// Masking rules live in PII_POLICY_FILE (see data/pii-policy.json) and are
+// served to the customer page, which applies the rules matching its page
+// and tenant. The file is re-read when it changes, so rules can be edited
+// without a restart; an invalid edit keeps the last good policy.
+let piiPolicyCache = null;  // { mtimeMs, policy, etag }
+
+function envPiiPolicy() {
+  return {
+    version: 'env',
+    defaults: {
+      maskType: CONFIG.PII_MASK_TYPE,
+      mask: CONFIG.PII_MASK_SELECTORS.split(',').map(s => s.trim()).filter(Boolean),
+      block: []
+    },
+    rules: []
+  };
+}
+
+function isStringList(value) {
+  return value === undefined || (Array.isArray(value) && value.every(v => typeof v === 'string' && v));
+}
+
+// Returns an error message for a malformed policy, or null
+function validatePiiPolicy(policy) {
+  if (!policy || typeof policy.version !== 'string' || !policy.version) {
+    return 'version must be a non-empty string';
+  }
+  const defaults = policy.defaults || {};
+  if (!isStringList(defaults.mask) || !isStringList(defaults.block)) {
+    return 'defaults.mask and defaults.block must be lists of selectors';
+  }
+  if (!Array.isArray(policy.rules || [])) {
+    return 'rules must be a list';
+  }
+  for (const [i, rule] of (policy.rules || []).entries()) {
+    for (const key of ['pages', 'tenants', 'mask', 'block']) {
+      if (!isStringList(rule[key])) {
+        return `rules[${i}].${key} must be a list of strings`;
+      }
+    }
+  }
+  return null;
+}
+
+function getPiiPolicy() {
+  let stat;
+  try {
+    stat = fs.statSync(CONFIG.PII_POLICY_FILE);
+  } catch (e) {
+    if (!piiPolicyCache || piiPolicyCache.mtimeMs !== 0) {
+      const policy = envPiiPolicy();
+      piiPolicyCache = { mtimeMs: 0, policy, etag: `"${policy.version}"` };
+    }
+    return piiPolicyCache;
   }
   
-  // Static file routes
-  let filePath;
+  if (!piiPolicyCache || piiPolicyCache.mtimeMs !== stat.mtimeMs) {
+    try {
+      const content = fs.readFileSync(CONFIG.PII_POLICY_FILE, 'utf8');
+      const policy = JSON.parse(content);
+      const error = validatePiiPolicy(policy);
+      if (error) {
+        throw new Error(error);
+      }
+      const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+      piiPolicyCache = { mtimeMs: stat.mtimeMs, policy, etag: `"${policy.version}-${hash}"` };
+      console.log(`[${new Date().toISOString()}] PII policy loaded: version ${policy.version}`);
+    } catch (e) {
+      console.error(`Invalid PII policy in ${CONFIG.PII_POLICY_FILE}:`, e.message);
+      if (!piiPolicyCache) {
+        const policy = envPiiPolicy();
+        piiPolicyCache = { mtimeMs: stat.mtimeMs, policy, etag: `"${policy.version}"` };
+      } else {
+        // Don't retry the broken file on every request
+        piiPolicyCache.mtimeMs = stat.mtimeMs;
+      }
+    }
+  }
+  return piiPolicyCache;
+}
+
+// Rules scoped to other tenants are left out of the response
+function policyForTenant(policy, tenant) {
+  return {
+    version: policy.version,
+    defaults: {
+      maskType: (policy.defaults && policy.defaults.maskType) || CONFIG.PII_MASK_TYPE,
+      mask: (policy.defaults && policy.defaults.mask) || [],
+      block: (policy.defaults && policy.defaults.block) || []
+    },
+    rules: (policy.rules || [])
+      .filter(rule => !rule.tenants || rule.tenants.includes(tenant))
+      .map(rule => ({
+        name: rule.name || null,
+        pages: rule.pages || ['*'],
+        mask: rule.mask || [],
+        block: rule.block || []
+      }))
+  };
+}
+
+// ============================================
+// PIN REGISTRY
+// ============================================
+// PINs are issued here rather than in the browser so that the agent page
+// can check a PIN before calling session.join(). An unclaimed PIN expires
+// after PIN_TTL; a claimed PIN is held until it is released or deleted.
+// PIN generation and validation live in shared/pin-code.js so the agent
+// page can catch typos with the same check character.
+const pinRegistry = new Map();
+
+function getPinStatus(entry) {
+  if (entry.status === 'active' && Date.now() >= entry.expiresAt) {
+    return 'expired';
+  }
+  return entry.status;
+}
+
+function describePin(entry) {
+  return {
+    pinCode: entry.pinCode,
+    status: getPinStatus(entry),
+    createdAt: new Date(entry.createdAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    claimedAt: entry.claimedAt ? new Date(entry.claimedAt).toISOString() : null,
+    claimedBy: entry.claimedBy,
+    region: entry.region
+  };
+}
+
+function reservePin(region, customerId) {
+  let pinCode;
+  do {
+    pinCode = generatePinCode(CONFIG.PIN_LENGTH);
+  } while (pinRegistry.has(pinCode));
   
-  if (pathname === '/' || pathname === '/customer' || pathname === '/customer/') {
-    filePath = path.join(ROOT_DIR, 'customer', 'index.html');
-  } else if (pathname === '/agent' || pathname === '/agent/') {
-    filePath = path.join(ROOT_DIR, 'agent', 'index.html');
-  } else if (pathname.startsWith('/dist/')) {
-    filePath = path.join(ROOT_DIR, pathname);
-  } else {
-    filePath = path.join(ROOT_DIR, pathname);
+  const now = Date.now();
+  const entry = {
+    pinCode,
+    status: 'active',
+    createdAt: now,
+    expiresAt: now + CONFIG.PIN_TTL * 1000,
+    claimedAt: null,
+    claimedBy: null,
+    region,  // Zoom region of the customer's session
+    customerId,  // user_id of the customer's token, checked on token refresh
+    queue: null,  // { name, pageUrl, waitingSince } while waiting in the support queue
+    context: null  // Ticket/CRM context attached by the customer page (see validateContext)
+  };
+  pinRegistry.set(pinCode, entry);
+  return entry;
+}
+
+// Expired PINs are kept for one more TTL so lookups can report "expired"
+// instead of "not found", then dropped.
+function sweepPins() {
+  const cutoff = Date.now() - CONFIG.PIN_TTL * 1000;
+  for (const [pinCode, entry] of pinRegistry) {
+    if (entry.status === 'active' && entry.expiresAt < cutoff) {
+      pinRegistry.delete(pinCode);
+    }
+  }
+  // Queued PINs that just expired drop out of the queue
+  notifyQueueChanged();
+}
+
+setInterval(sweepPins, 15 * 1000).unref();
+
+// ============================================
+// SESSION CONTEXT
+// ============================================
+// The customer page attaches what the agent should know before joining:
+// ticket number, account ID, the page and browser, and custom fields set
+// by the host page. It is kept with the PIN (and dropped with it) and only
+// shown to the agent holding the PIN.
+const CONTEXT_BROWSER_FIELDS = ['userAgent', 'language', 'platform', 'screen', 'viewport', 'timeZone'];
+const CONTEXT_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+
+// Control characters are dropped; null for anything but a non-empty string
+function contextString(value, maxLength = CONFIG.CONTEXT_MAX_VALUE_LENGTH) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.replace(/[\p{Cc}\p{Cf}]/gu, '').trim().slice(0, maxLength);
+  return text || null;
+}
+
+// Returns { context } or { error, field }
+function validateContext(body) {
+  for (const field of ['ticketNumber', 'accountId', 'pageUrl']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be a string`, field };
+    }
   }
   
-  // Security check
-  if (!filePath.startsWith(ROOT_DIR)) {
-    res.writeHead(403, { 'Content-Type': 'text/plain' });
-    res.end('403 Forbidden');
-    return;
+  const custom = body.custom === undefined || body.custom === null ? {} : body.custom;
+  if (typeof custom !== 'object' || Array.isArray(custom)) {
+    return { error: 'custom must be an object', field: 'custom' };
+  }
+  const entries = Object.entries(custom);
+  if (entries.length > CONFIG.CONTEXT_MAX_FIELDS) {
+    return { error: `At most ${CONFIG.CONTEXT_MAX_FIELDS} custom fields are allowed`, field: 'custom' };
+  }
+  for (const [key, value] of entries) {
+    if (!CONTEXT_FIELD_PATTERN.test(key)) {
+      return { error: `Invalid custom field name: ${key.slice(0, 64)}`, field: 'custom' };
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `Custom field ${key} must be a string, number or boolean`, field: 'custom' };
+    }
   }
   
-  // Check if directory and serve index.html
-  fs.stat(filePath, (err, stats) => {
-    if (!err && stats.isDirectory()) {
-      filePath = path.join(filePath, 'index.html');
+  const browser = body.browser && typeof body.browser === 'object' ? body.browser : {};
+  return {
+    context: {
+      ticketNumber: contextString(body.ticketNumber, 64),
+      accountId: contextString(body.accountId, 64),
+      pageUrl: contextString(body.pageUrl, 2048),
+      browser: Object.fromEntries(CONTEXT_BROWSER_FIELDS.map(field => [field, contextString(browser[field])])),
+      custom: Object.fromEntries(entries.map(([key, value]) => [key, typeof value === 'string' ? contextString(value) : value])),
+      updatedAt: new Date().toISOString()
     }
-    serveFile(res, filePath);
+  };
+}
+
+// ============================================
+// SERVER-SENT EVENTS
+// ============================================
+const openStreams = new Set();
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openEventStream(req, res, subscribers) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  subscribers.add(res);
+  openStreams.add(res);
+  req.on('close', () => {
+    subscribers.delete(res);
+    openStreams.delete(res);
   });
+}
+
+// Comment lines keep idle connections open through proxies
+setInterval(() => {
+  for (const res of openStreams) {
+    res.write(': ping\n\n');
+  }
+}, 25 * 1000).unref();
+
+// ============================================
+// SUPPORT QUEUE
+// ============================================
+// The queue is a view over the PIN registry: customers who registered
+// themselves and whose PIN is still active (unclaimed, not expired).
+// Agents receive the list over Server-Sent Events whenever it changes.
+const queueSubscribers = new Set();
+let lastQueueSnapshot = '[]';
+
+function getQueue() {
+  return [...pinRegistry.values()]
+    .filter(entry => entry.queue && getPinStatus(entry) === 'active')
+    .sort((a, b) => a.queue.waitingSince - b.queue.waitingSince)
+    .map(entry => ({
+      pinCode: entry.pinCode,
+      name: entry.queue.name,
+      pageUrl: entry.queue.pageUrl,
+      waitingSince: new Date(entry.queue.waitingSince).toISOString()
+    }));
+}
+
+function notifyQueueChanged() {
+  const queue = getQueue();
+  const snapshot = JSON.stringify(queue);
+  if (snapshot === lastQueueSnapshot) {
+    return;
+  }
+  lastQueueSnapshot = snapshot;
+  for (const res of queueSubscribers) {
+    sendEvent(res, 'queue', queue);
+  }
+}
+
+// The customer page reports its tab being hidden or shown while an agent
+// is connected (the SDK only tells the agent about the former) to
+// POST /pins/:pin/presence. The agent holding the PIN hears it as a
+// "presence" event on its queue stream; the audit log records the events.
+const PRESENCE_EVENTS = { away: 'page_hidden', active: 'page_visible' };
+
+function notifyPresence(entry, presence) {
+  const data = { pinCode: entry.pinCode, presence, at: new Date().toISOString() };
+  for (const res of queueSubscribers) {
+    if (res.agentId === entry.claimedBy.id) {
+      sendEvent(res, 'presence', data);
+    }
+  }
+}
+
+// Context updated by the customer page after the agent joined
+function notifyContext(entry) {
+  if (entry.status !== 'claimed') {
+    return;
+  }
+  for (const res of queueSubscribers) {
+    if (res.agentId === entry.claimedBy.id) {
+      sendEvent(res, 'context', { pinCode: entry.pinCode, context: entry.context });
+    }
+  }
+}
+
+// ============================================
+// RATE LIMITING
+// ============================================
+// Fixed-window counters kept in process memory, so no external store is
+// needed. With several instances each one enforces its own limits.
+const rateCounters = new Map();  // key -> { count, resetAt }
+const lockouts = new Map();      // ip -> lockout end (ms)
+
+function clientIp(req) {
+  if (CONFIG.TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Counts one hit against `key`. Returns 0 if it is within `limit` for the
+ * current window, otherwise the seconds until the window resets.
+ */
+function consumeRate(key, limit, windowSeconds) {
+  const now = Date.now();
+  let counter = rateCounters.get(key);
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+    rateCounters.set(key, counter);
+  }
+  counter.count++;
+  return counter.count > limit ? Math.ceil((counter.resetAt - now) / 1000) : 0;
+}
+
+// Rejected token and login requests count as failures; too many from one
+// IP lock it out of both routes for a while.
+function recordFailure(ip) {
+  if (consumeRate(`failure:${ip}`, CONFIG.RATE_LIMIT.MAX_FAILURES, CONFIG.RATE_LIMIT.FAILURE_WINDOW)) {
+    lockouts.set(ip, Date.now() + CONFIG.RATE_LIMIT.LOCKOUT * 1000);
+    rateCounters.delete(`failure:${ip}`);
+    console.log(`[${new Date().toISOString()}] Locked out ${ip} for ${CONFIG.RATE_LIMIT.LOCKOUT}s`);
+  }
+}
+
+function lockoutRemaining(ip) {
+  const until = lockouts.get(ip);
+  if (!until) {
+    return 0;
+  }
+  if (until <= Date.now()) {
+    lockouts.delete(ip);
+    return 0;
+  }
+  return Math.ceil((until - Date.now()) / 1000);
+}
+
+function sendTooManyRequests(res, retryAfter) {
+  res.setHeader('Retry-After', String(retryAfter));
+  sendJson(res, 429, { error: 'Too many requests', retryAfter });
+}
+
+function sweepRateLimits() {
+  const now = Date.now();
+  for (const [key, counter] of rateCounters) {
+    if (counter.resetAt <= now) {
+      rateCounters.delete(key);
+    }
+  }
+  for (const [ip, until] of lockouts) {
+    if (until <= now) {
+      lockouts.delete(ip);
+    }
+  }
+}
+
+setInterval(sweepRateLimits, 60 * 1000).unref();
+
+// ============================================
+// AUDIT LOG
+// ============================================
+// Session lifecycle events are appended as NDJSON, one file per UTC day:
+// data/audit/audit-YYYY-MM-DD.ndjson
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const ROLE_NAMES = { 1: 'customer', 2: 'agent' };
+// Recorded by the server's own routes after their checks, never by /events
+const SERVER_EVENTS = ['consent_granted', 'context_attached', 'page_hidden', 'page_visible'];
+
+function auditFilePath(day) {
+  return path.join(CONFIG.AUDIT_DIR, `audit-${day}.ndjson`);
+}
+
+function appendAuditRecord(record) {
+  const line = JSON.stringify({ timestamp: new Date().toISOString(), ...record }) + '\n';
+  const file = auditFilePath(new Date().toISOString().slice(0, 10));
+  fs.mkdir(CONFIG.AUDIT_DIR, { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) {
+      console.error('Audit log error:', mkdirErr);
+      return;
+    }
+    fs.appendFile(file, line, (err) => {
+      if (err) {
+        console.error('Audit log error:', err);
+      }
+    });
+  });
+}
+
+// Oversized payloads are replaced with a marker rather than rejected, so
+// the event itself is never lost.
+function limitPayload(payload) {
+  if (payload === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(payload);
+  return json.length > CONFIG.AUDIT_MAX_PAYLOAD ? { truncated: true, size: json.length } : payload;
+}
+
+function listDays(from, to) {
+  const days = [];
+  const start = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  for (let day = start; day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+async function queryAuditLog({ pinCode, event, from, to, limit }) {
+  const records = [];
+  
+  for (const day of listDays(from, to)) {
+    let content;
+    try {
+      content = await fs.promises.readFile(auditFilePath(day), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') continue;
+      throw e;
+    }
+    
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        // A line cut short by a crash mid-append
+        continue;
+      }
+      const time = Date.parse(record.timestamp);
+      if (time < from.getTime() || time > to.getTime()) continue;
+      if (pinCode && record.pinCode !== pinCode) continue;
+      if (event && record.event !== event) continue;
+      records.push(record);
+      if (records.length >= limit) {
+        return records;
+      }
+    }
+  }
+  
+  return records;
+}
+
+// ============================================
+// CONSENT RECORDS
+// ============================================
+// A customer's consent to share is recorded before session.start(), one
+// NDJSON line per consent in CONSENT_FILE. Unlike the audit log this is
+// written before the request is answered: no record, no session.
+async function appendConsentRecord(record) {
+  await fs.promises.mkdir(path.dirname(CONFIG.CONSENT_FILE), { recursive: true });
+  await fs.promises.appendFile(CONFIG.CONSENT_FILE, JSON.stringify(record) + '\n');
+}
+
+async function queryConsents({ pinCode, userId, limit }) {
+  let content;
+  try {
+    content = await fs.promises.readFile(CONFIG.CONSENT_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // A line cut short by a crash mid-append
+      continue;
+    }
+    if (pinCode && record.pinCode !== pinCode) continue;
+    if (userId && record.userId !== userId) continue;
+    records.push(record);
+  }
+  // Newest first
+  return records.reverse().slice(0, limit);
+}
+
+// ============================================
+// WRAP-UPS
+// ============================================
+// After a session the agent records how it went: a disposition code from
+// DISPOSITION_CODES, free-text notes and whether the issue was resolved.
+// One NDJSON line per wrap-up in WRAPUP_FILE, with the agent and the
+// session timings; admins export them as CSV for support reporting.
+const WRAPUP_CSV_COLUMNS = [
+  'wrapUpId', 'submittedAt', 'pinCode', 'ticketNumber', 'accountId', 'agentId', 'agentName',
+  'disposition', 'dispositionLabel', 'resolved', 'notes',
+  'sessionStartedAt', 'agentJoinedAt', 'agentLeftAt', 'durationSeconds',
+  'awayCount', 'awaySeconds', 'transferred', 'endReason'
+];
+
+async function appendWrapUpRecord(record) {
+  await fs.promises.mkdir(path.dirname(CONFIG.WRAPUP_FILE), { recursive: true });
+  await fs.promises.appendFile(CONFIG.WRAPUP_FILE, JSON.stringify(record) + '\n');
+}
+
+async function queryWrapUps({ pinCode, agentId, from, to, limit }) {
+  let content;
+  try {
+    content = await fs.promises.readFile(CONFIG.WRAPUP_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // A line cut short by a crash mid-append
+      continue;
+    }
+    const submittedAt = Date.parse(record.submittedAt);
+    if (pinCode && record.pinCode !== pinCode) continue;
+    if (agentId && record.agentId !== agentId) continue;
+    if (submittedAt < from || submittedAt > to) continue;
+    records.push(record);
+  }
+  // Newest first
+  return records.reverse().slice(0, limit);
+}
+
+// Quotes every field; a leading =, +, - or @ is defused so spreadsheets do
+// not run agent notes as formulas.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function wrapUpsToCsv(records) {
+  const lines = [WRAPUP_CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(WRAPUP_CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Client-reported timings: an ISO date or a non-negative whole number, else null
+function isoOrNull(value) {
+  const date = new Date(value);
+  return typeof value === 'string' && !isNaN(date) ? date.toISOString() : null;
+}
+
+function countOrNull(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+// ============================================
+// SESSION STATE
+// ============================================
+// Server-side view of every cobrowse session, keyed by PIN and fed by the
+// lifecycle events both pages report. Ended sessions move to a bounded
+// "recent" list. The admin dashboard follows it over Server-Sent Events.
+const activeSessions = new Map();
+const recentSessions = [];
+const adminSubscribers = new Set();
+const errorTotals = { total: 0, byRole: {} };
+
+function getSessionRecord(pinCode) {
+  let record = activeSessions.get(pinCode);
+  if (!record) {
+    record = {
+      pinCode,
+      status: 'waiting',
+      customer: null,
+      agent: null,
+      startedAt: new Date().toISOString(),
+      agentJoinedAt: null,
+      endedAt: null,
+      endReason: null,
+      consent: null,  // { consentId, policyVersion, consentedAt } once the customer agreed
+      context: null,  // { ticketNumber, accountId } once the customer page attached context
+      zoomSessionId: null,  // Zoom's session ID, once a Zoom webhook named it
+      startedNotified: false,  // session_started webhook already sent
+      errorCount: 0
+    };
+    activeSessions.set(pinCode, record);
+  }
+  return record;
+}
+
+function endSessionRecord(record, reason) {
+  record.status = 'ended';
+  record.endedAt = new Date().toISOString();
+  record.endReason = reason;
+  activeSessions.delete(record.pinCode);
+  recentSessions.unshift(record);
+  recentSessions.length = Math.min(recentSessions.length, CONFIG.ADMIN_RECENT_SESSIONS);
+  emitWebhook('session_ended', record, { reason });
+}
+
+/**
+ * Applies one reported lifecycle event to the session state.
+ * `actor` is the customer identity or the authenticated agent.
+ */
+function recordSessionEvent(role, pinCode, event, payload, actor) {
+  // Only track PINs this server issued; late events for a session that
+  // already ended are only audited
+  if (!activeSessions.has(pinCode) && (!pinRegistry.has(pinCode) || recentSessions.some(r => r.pinCode === pinCode))) {
+    return;
+  }
+  
+  const record = getSessionRecord(pinCode);
+  
+  if (role === 'customer' && actor && actor.userId) {
+    record.customer = { userId: actor.userId, userName: actor.userName || record.customer?.userName || null };
+  }
+  
+  // Starts, joins and leaves are reported more than once (both pages, Zoom
+  // webhooks); webhooks fire on the first report
+  const previousStatus = record.status;
+  
+  switch (event) {
+    case 'session_started':
+      if (!record.startedNotified) {
+        record.startedNotified = true;
+        emitWebhook('session_started', record);
+      }
+      break;
+    case 'agent_joined':
+    case 'session_joined':
+      record.status = 'active';
+      record.agentJoinedAt = record.agentJoinedAt || new Date().toISOString();
+      if (role === 'agent') {
+        record.agent = actor;
+      }
+      if (previousStatus !== 'active') {
+        emitWebhook('agent_joined', record);
+      }
+      break;
+    case 'agent_left':
+    case 'session_left':
+      record.status = 'waiting';
+      if (previousStatus === 'active') {
+        emitWebhook('agent_left', record);
+      }
+      break;
+    case 'session_ended':
+      // The reason is client-supplied and ends up in webhooks and exports
+      endSessionRecord(record, payload && EVENT_NAME_PATTERN.test(payload.reason) ? payload.reason : 'session_ended');
+      break;
+    case 'consent_granted':
+      record.consent = payload;
+      break;
+    case 'context_attached':
+      if (payload) {
+        record.context = { ticketNumber: payload.ticketNumber, accountId: payload.accountId };
+      }
+      break;
+    case 'session_error':
+      record.errorCount++;
+      errorTotals.total++;
+      errorTotals.byRole[role] = (errorTotals.byRole[role] || 0) + 1;
+      emitWebhook('session_error', record, { role, error: payload });
+      break;
+  }
+  
+  notifyAdmin();
+}
+
+function getSessionSnapshot() {
+  return {
+    active: [...activeSessions.values()],
+    recent: recentSessions,
+    errors: errorTotals,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Several events usually arrive together (both pages report a join), so
+// admin updates are coalesced into one push per tick.
+let adminNotifyPending = false;
+
+function notifyAdmin() {
+  if (adminNotifyPending || adminSubscribers.size === 0) {
+    return;
+  }
+  adminNotifyPending = true;
+  setImmediate(() => {
+    adminNotifyPending = false;
+    const snapshot = getSessionSnapshot();
+    for (const res of adminSubscribers) {
+      sendEvent(res, 'sessions', snapshot);
+    }
+  });
+}
+
+// ============================================
+// OUTBOUND WEBHOOKS
+// ============================================
+// Session lifecycle changes are POSTed to the URLs in WEBHOOKS, each
+// subscribed to some or all of WEBHOOK_EVENTS. The body is signed with the
+// subscription's secret:
+//   X-Cobrowse-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>")
+// Failed attempts are retried with exponential backoff. Every delivery is
+// tracked in WEBHOOK_DELIVERY_FILE (NDJSON, the latest line per delivery
+// wins), so pending retries survive a restart and failed deliveries can
+// be listed and replayed by an admin.
+const WEBHOOK_EVENTS = ['session_started', 'agent_joined', 'agent_left', 'session_ended', 'session_error'];
+
+function loadWebhooks() {
+  if (!Array.isArray(CONFIG.WEBHOOKS)) {
+    console.error('Ignoring WEBHOOKS: expected a JSON array');
+    return [];
+  }
+  const webhooks = [];
+  CONFIG.WEBHOOKS.forEach((webhook, index) => {
+    const id = String(webhook.id || `webhook-${index + 1}`);
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (e) {
+      url = null;
+    }
+    const events = webhook.events === undefined ? WEBHOOK_EVENTS : webhook.events;
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      console.error(`Ignoring webhook ${id}: url must be an http(s) URL`);
+    } else if (typeof webhook.secret !== 'string' || !webhook.secret) {
+      console.error(`Ignoring webhook ${id}: secret is required`);
+    } else if (!Array.isArray(events) || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      console.error(`Ignoring webhook ${id}: events must be a list of ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+      webhooks.push({ id, url: url.href, secret: webhook.secret, events });
+    }
+  });
+  return webhooks;
+}
+
+const WEBHOOKS = loadWebhooks();
+const webhookDeliveries = new Map();  // deliveryId -> delivery, oldest first
+let deliveryLogWrite = Promise.resolve();
+
+// Reads the delivery log and writes it back compacted: one line per
+// delivery, without delivered entries past WEBHOOK_LOG_RETENTION.
+function loadDeliveryLog() {
+  let content;
+  try {
+    content = fs.readFileSync(CONFIG.WEBHOOK_DELIVERY_FILE, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`Failed to load webhook deliveries from ${CONFIG.WEBHOOK_DELIVERY_FILE}:`, e.message);
+    }
+    return;
+  }
+  
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      const delivery = JSON.parse(line);
+      webhookDeliveries.delete(delivery.deliveryId);
+      webhookDeliveries.set(delivery.deliveryId, delivery);
+    } catch (e) {
+      // A line cut short by a crash - the previous state of that delivery stands
+    }
+  }
+  
+  const cutoff = Date.now() - CONFIG.WEBHOOK_LOG_RETENTION * 24 * 3600 * 1000;
+  for (const [deliveryId, delivery] of webhookDeliveries) {
+    if (delivery.status === 'delivered' && Date.parse(delivery.deliveredAt) < cutoff) {
+      webhookDeliveries.delete(deliveryId);
+    }
+  }
+  const lines = [...webhookDeliveries.values()].map(delivery => JSON.stringify(delivery) + '\n');
+  fs.writeFileSync(CONFIG.WEBHOOK_DELIVERY_FILE, lines.join(''));
+}
+
+// Appends the delivery's current state; writes stay in order
+function persistDelivery(delivery) {
+  const line = JSON.stringify(delivery) + '\n';
+  deliveryLogWrite = deliveryLogWrite
+    .then(() => fs.promises.mkdir(path.dirname(CONFIG.WEBHOOK_DELIVERY_FILE), { recursive: true }))
+    .then(() => fs.promises.appendFile(CONFIG.WEBHOOK_DELIVERY_FILE, line))
+    .catch(err => console.error('Webhook delivery log error:', err));
+}
+
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Queues one delivery per subscription to `event`. The payload carries a
+ * copy of the session record, so later changes do not leak into retries.
+ */
+function emitWebhook(event, record, details = {}) {
+  const subscribers = WEBHOOKS.filter(webhook => webhook.events.includes(event));
+  if (subscribers.length === 0) {
+    return;
+  }
+  
+  const entry = pinRegistry.get(record.pinCode);
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    session: {
+      pinCode: record.pinCode,
+      status: record.status,
+      customer: record.customer,
+      agent: record.agent || (entry && entry.claimedBy) || null,
+      startedAt: record.startedAt,
+      agentJoinedAt: record.agentJoinedAt,
+      endedAt: record.endedAt,
+      endReason: record.endReason,
+      context: record.context,
+      errorCount: record.errorCount
+    },
+    ...details
+  };
+  
+  for (const webhook of subscribers) {
+    const delivery = {
+      deliveryId: crypto.randomUUID(),
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: payload.createdAt,
+      lastAttemptAt: null,
+      nextAttemptAt: payload.createdAt,
+      responseStatus: null,
+      lastError: null,
+      deliveredAt: null
+    };
+    webhookDeliveries.set(delivery.deliveryId, delivery);
+    persistDelivery(delivery);
+    scheduleDelivery(delivery);
+  }
+}
+
+function scheduleDelivery(delivery) {
+  const delay = Math.max(Date.parse(delivery.nextAttemptAt) - Date.now(), 0);
+  setTimeout(() => {
+    attemptDelivery(delivery).catch(err => console.error('Webhook delivery error:', err));
+  }, delay).unref();
+}
+
+async function attemptDelivery(delivery) {
+  if (delivery.status !== 'pending') {
+    return;
+  }
+  
+  // The secret is never persisted, so the subscription must still exist
+  const webhook = WEBHOOKS.find(w => w.id === delivery.webhookId);
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+  
+  if (webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cobrowse-webhooks/1.0',
+          'X-Cobrowse-Event': delivery.event,
+          'X-Cobrowse-Delivery': delivery.deliveryId,
+          'X-Cobrowse-Timestamp': String(timestamp),
+          'X-Cobrowse-Signature': signWebhook(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT * 1000)
+      });
+      await response.body?.cancel();
+      delivery.responseStatus = response.status;
+      delivery.lastError = response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.responseStatus = null;
+      delivery.lastError = error.name === 'TimeoutError'
+        ? `No response within ${CONFIG.WEBHOOK_TIMEOUT}s`
+        : (error.cause && error.cause.code) || error.message;
+    }
+  } else {
+    delivery.attempts = CONFIG.WEBHOOK_MAX_ATTEMPTS;
+    delivery.lastError = 'Webhook is no longer configured';
+  }
+  
+  if (!delivery.lastError) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = delivery.lastAttemptAt;
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.warn(`[${new Date().toISOString()}] Webhook ${delivery.event} to ${delivery.webhookId} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+  } else {
+    const delay = Math.min(CONFIG.WEBHOOK_RETRY_BASE * 2 ** (delivery.attempts - 1), CONFIG.WEBHOOK_RETRY_MAX);
+    delivery.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+    scheduleDelivery(delivery);
+  }
+  persistDelivery(delivery);
+}
+
+// Starts a failed delivery over with a full set of attempts
+function replayDelivery(delivery) {
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.nextAttemptAt = new Date().toISOString();
+  persistDelivery(delivery);
+  scheduleDelivery(delivery);
+}
+
+loadDeliveryLog();
+for (const delivery of webhookDeliveries.values()) {
+  if (delivery.status === 'pending') {
+    scheduleDelivery(delivery);
+  }
+}
+
+// ============================================
+// ZOOM WEBHOOKS
+// ============================================
+// Zoom reports Cobrowse sessions to /zoom/webhook as well, so a session is
+// closed even when the tab that should have reported its end crashed.
+// Requests are verified against ZOOM_WEBHOOK_SECRET:
+//   x-zm-signature: v0=HMAC-SHA256(secret, "v0:<x-zm-request-timestamp>:<body>")
+// and fed into the session state as if the page had reported them. Events
+// are told apart by the last part of their name ("cobrowse.session_ended"
+// -> session_ended); see scripts/fixtures/zoom for sample payloads.
+const ZOOM_SESSION_EVENTS = {
+  session_started: { role: 'customer', event: 'session_started' },
+  customer_joined: { role: 'customer', event: 'session_started' },
+  agent_joined: { role: 'agent', event: 'session_joined' },
+  agent_left: { role: 'agent', event: 'session_left' },
+  session_ended: { role: 'customer', event: 'session_ended' }
+};
+
+// Returns an error message, or null if the request is genuine and recent
+function verifyZoomSignature(headers, body) {
+  const timestamp = parseInt(headers['x-zm-request-timestamp'], 10);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > CONFIG.ZOOM_WEBHOOK_TOLERANCE) {
+    return 'Stale or missing x-zm-request-timestamp';
+  }
+  const expected = 'v0=' + crypto.createHmac('sha256', CONFIG.ZOOM_WEBHOOK_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+  return safeEqual(String(headers['x-zm-signature'] || ''), expected) ? null : 'Invalid x-zm-signature';
+}
+
+// Zoom names a participant with user_id/user_name (the token's identity)
+function zoomParticipant(object, role) {
+  const participant = object.participant || object[role] || {};
+  const userId = typeof participant.user_id === 'string' ? participant.user_id : null;
+  if (role === 'agent') {
+    const agent = userId && AGENTS.find(a => a.id === userId);
+    return agent ? publicAgent(agent) : userId && { id: userId, name: participant.user_name || userId };
+  }
+  return userId ? { userId, userName: participant.user_name || null } : null;
+}
+
+/**
+ * Applies a Zoom session event to the session state. Returns what was done
+ * ('applied', 'ignored' or 'unknown_pin'), for the response and the log.
+ */
+function reconcileZoomEvent(body) {
+  const type = String(body.event || '').split('.').pop();
+  const mapping = ZOOM_SESSION_EVENTS[type];
+  if (!mapping) {
+    return 'ignored';
+  }
+  const object = (body.payload && body.payload.object) || {};
+  
+  // Events without the PIN are matched by the Zoom session ID seen earlier
+  const known = !object.pin_code && object.session_id &&
+    [...activeSessions.values()].find(r => r.zoomSessionId === object.session_id);
+  const validation = validatePinCode(String((known && known.pinCode) || object.pin_code || ''), CONFIG.PIN_LENGTH);
+  const pinCode = validation.pinCode;
+  if (validation.status !== 'valid' || (!activeSessions.has(pinCode) && !pinRegistry.has(pinCode))) {
+    // Usually the page reported the end first
+    return recentSessions.some(r => r.pinCode === pinCode) ? 'already_ended' : 'unknown_pin';
+  }
+  
+  appendAuditRecord({ role: 'zoom', pinCode, userId: null, event: `zoom_${type}`, payload: limitPayload(object) });
+  
+  const payload = mapping.event === 'session_ended'
+    ? { reason: EVENT_NAME_PATTERN.test(object.end_reason) ? object.end_reason : 'zoom_session_ended' }
+    : null;
+  // Without a participant, keep the identity the agent page reported
+  const existing = activeSessions.get(pinCode);
+  const actor = zoomParticipant(object, mapping.role) || (mapping.role === 'agent' && existing ? existing.agent : null);
+  recordSessionEvent(mapping.role, pinCode, mapping.event, payload, actor);
+  
+  const record = activeSessions.get(pinCode) || recentSessions.find(r => r.pinCode === pinCode);
+  if (record && typeof object.session_id === 'string') {
+    record.zoomSessionId = object.session_id;
+  }
+  
+  // Nothing will use the PIN again; free it as the customer page would have
+  if (mapping.event === 'session_ended' && pinRegistry.has(pinCode)) {
+    pinRegistry.delete(pinCode);
+    notifyQueueChanged();
+  }
+  return 'applied';
+}
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Rejects with HttpError 413 past MAX_BODY_BYTES and 400 for malformed
+// JSON; an empty body parses as {}.
+async function parseBody(req) {
+  return parseJsonBody(await readRawBody(req));
+}
+
+function parseJsonBody(body) {
+  try {
+    const parsed = body ? JSON.parse(body) : {};
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    return parsed;
+  } catch (e) {
+    throw new HttpError(400, `Malformed JSON body: ${e.message}`);
+  }
+}
+
+// The body as received, for signatures computed over the exact bytes
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > CONFIG.MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${CONFIG.MAX_BODY_BYTES} bytes`));
+        // Discard the rest so the 413 response can still be delivered
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      resolve(Buffer.concat(chunks).toString());
+    });
+    req.on('error', reject);
+  });
+}
+
+function serveFile(res, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+  
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      if (err.code === 'ENOENT') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('404 Not Found');
+      } else {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('500 Internal Server Error');
+      }
+      return;
+    }
+    
+    res.writeHead(200, { 
+      'Content-Type': contentType,
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.end(data);
+  });
+}
+
+async function handleTokenRequest(req, res, url) {
+  res.setHeader('Content-Type', 'application/json');
+  
+  const ip = clientIp(req);
+  const reject = (status, body) => {
+    recordFailure(ip);
+    sendJson(res, status, body);
+  };
+  
+  const locked = lockoutRemaining(ip);
+  if (locked) {
+    sendTooManyRequests(res, locked);
+    return;
+  }
+  const ipRetryAfter = consumeRate(`token-ip:${ip}`, CONFIG.RATE_LIMIT.TOKEN_PER_IP, CONFIG.RATE_LIMIT.WINDOW);
+  if (ipRetryAfter) {
+    sendTooManyRequests(res, ipRetryAfter);
+    return;
+  }
+  
+  try {
+    let role = 1; // Default to customer role
+    let identity = {};
+    let regionRequest = {};
+    
+    if (req.method === 'POST') {
+      const body = await parseBody(req);
+      
+      if (body.role !== undefined) {
+        role = Number(body.role);
+        if (role !== 1 && role !== 2) {
+          reject(400, { error: 'role must be 1 (customer) or 2 (agent)', field: 'role' });
+          return;
+        }
+      }
+      
+      const result = validateIdentity(body);
+      if (result.error) {
+        reject(400, { error: result.error, field: result.field });
+        return;
+      }
+      identity = result.identity;
+      regionRequest = { region: body.region, tenant: body.tenant, hint: body.regionHint };
+    }
+    
+    // Generated customer IDs are unique per request, so only a supplied
+    // ID or an agent identity is worth rate limiting
+    let rateIdentity = identity.userId;
+    
+    if (role === 1) {
+      identity.userId = identity.userId || `customer_${crypto.randomUUID()}`;
+      identity.userName = identity.userName || 'Customer';
+    }
+    
+    // Agent tokens are only issued to logged-in agents, under their own identity
+    if (role === 2) {
+      const agent = getAuthenticatedAgent(req);
+      if (!agent) {
+        reject(401, { error: 'Agent login required' });
+        return;
+      }
+      identity = { userId: agent.id, userName: agent.name };
+      rateIdentity = agent.id;
+      // An agent's account region/tenant applies unless the request names a region
+      regionRequest = {
+        region: regionRequest.region !== undefined ? regionRequest.region : agent.region,
+        tenant: agent.tenant
+      };
+    }
+    
+    const zoomRegion = resolveRegion(regionRequest);
+    if (zoomRegion.error) {
+      reject(400, { error: zoomRegion.error, field: zoomRegion.field });
+      return;
+    }
+    
+    if (rateIdentity) {
+      const idRetryAfter = consumeRate(`token-id:${rateIdentity}`, CONFIG.RATE_LIMIT.TOKEN_PER_IDENTITY, CONFIG.RATE_LIMIT.WINDOW);
+      if (idRetryAfter) {
+        sendTooManyRequests(res, idRetryAfter);
+        return;
+      }
+    }
+    
+    if (CONFIG.SDK_KEY === 'YOUR_SDK_KEY_HERE' || CONFIG.SDK_SECRET === 'YOUR_SDK_SECRET_HERE') {
+      res.writeHead(500);
+      res.end(JSON.stringify({
+        error: 'SDK_KEY and SDK_SECRET environment variables must be set'
+      }));
+      return;
+    }
+    
+    const token = generateToken(CONFIG.SDK_KEY, CONFIG.SDK_SECRET, role, identity);
+    
+    console.log(`[${new Date().toISOString()}] Token generated for role: ${role} (${zoomRegion.region})`);
+    
+    res.writeHead(200);
+    res.end(JSON.stringify({
+      token: token,
+      role: role,
+      userId: identity.userId,
+      userName: identity.userName,
+      expiresIn: CONFIG.TOKEN_EXPIRY,
+      region: zoomRegion.region,
+      domain: zoomRegion.domain
+    }));
+    
+  } catch (error) {
+    if (error instanceof HttpError) {
+      reject(error.status, { error: error.message });
+      return;
+    }
+    console.error('Token generation error:', error);
+    res.writeHead(500);
+    res.end(JSON.stringify({ error: error.message }));
+  }
+}
+
+/**
+ * POST /token/refresh - issues a new token for the same identity and PIN.
+ * 
+ * The caller presents its current token and PIN. The new token keeps the
+ * role, user_id and user_name, as long as the PIN is still live and bound
+ * to that identity: the customer who reserved it, or the logged-in agent
+ * who claimed it.
+ */
+async function handleTokenRefreshRequest(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const ip = clientIp(req);
+  const reject = (status, body) => {
+    recordFailure(ip);
+    sendJson(res, status, body);
+  };
+  
+  const locked = lockoutRemaining(ip);
+  if (locked) {
+    sendTooManyRequests(res, locked);
+    return;
+  }
+  const ipRetryAfter = consumeRate(`token-ip:${ip}`, CONFIG.RATE_LIMIT.TOKEN_PER_IP, CONFIG.RATE_LIMIT.WINDOW);
+  if (ipRetryAfter) {
+    sendTooManyRequests(res, ipRetryAfter);
+    return;
+  }
+  
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (error) {
+    reject(error.status || 400, { error: error.message });
+    return;
+  }
+  
+  const claims = verifyToken(body.token, CONFIG.SDK_SECRET);
+  if (!claims) {
+    reject(401, { error: 'Invalid or expired token' });
+    return;
+  }
+  
+  const entry = typeof body.pinCode === 'string' && pinRegistry.get(body.pinCode.toUpperCase());
+  if (!entry || getPinStatus(entry) === 'expired') {
+    reject(409, { error: 'PIN is no longer active' });
+    return;
+  }
+  
+  if (claims.role_type === 2) {
+    const agent = getAuthenticatedAgent(req);
+    if (!agent || agent.id !== claims.user_id) {
+      reject(401, { error: 'Agent login required' });
+      return;
+    }
+    if (!entry.claimedBy || entry.claimedBy.id !== agent.id) {
+      reject(403, { error: 'Token is not bound to this PIN' });
+      return;
+    }
+  } else if (entry.customerId !== claims.user_id) {
+    reject(403, { error: 'Token is not bound to this PIN' });
+    return;
+  }
+  
+  const rateRetryAfter = consumeRate(`token-id:${claims.user_id}`, CONFIG.RATE_LIMIT.TOKEN_PER_IDENTITY, CONFIG.RATE_LIMIT.WINDOW);
+  if (rateRetryAfter) {
+    sendTooManyRequests(res, rateRetryAfter);
+    return;
+  }
+  
+  const token = generateToken(CONFIG.SDK_KEY, CONFIG.SDK_SECRET, claims.role_type, {
+    userId: claims.user_id,
+    userName: claims.user_name
+  });
+  
+  console.log(`[${new Date().toISOString()}] Token refreshed for ${claims.user_id} (PIN ${entry.pinCode})`);
+  
+  sendJson(res, 200, {
+    token,
+    role: claims.role_type,
+    userId: claims.user_id,
+    userName: claims.user_name,
+    expiresIn: CONFIG.TOKEN_EXPIRY,
+    region: entry.region,
+    domain: CONFIG.ZOOM_REGIONS[entry.region]
+  });
+}
+
+async function handleLoginRequest(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const ip = clientIp(req);
+  const locked = lockoutRemaining(ip);
+  if (locked) {
+    sendTooManyRequests(res, locked);
+    return;
+  }
+  
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (error) {
+    recordFailure(ip);
+    throw error;
+  }
+  
+  const agent = typeof body.username === 'string' && typeof body.password === 'string'
+    ? findAgentByPassword(body.username, body.password)
+    : null;
+  
+  if (!agent) {
+    console.log(`[${new Date().toISOString()}] Agent login failed from ${ip}`);
+    recordFailure(ip);
+    sendJson(res, 401, { error: 'Invalid username or password' });
+    return;
+  }
+  
+  const sessionId = createAgentSession(agent);
+  console.log(`[${new Date().toISOString()}] Agent logged in: ${agent.id}`);
+  res.setHeader('Set-Cookie', sessionCookie(sessionId, CONFIG.AGENT_SESSION_TTL));
+  sendJson(res, 200, { agent: publicAgent(agent) });
+}
+
+function handleLogoutRequest(req, res) {
+  const sessionId = parseCookies(req)[CONFIG.AGENT_SESSION_COOKIE];
+  if (sessionId) {
+    agentSessions.delete(sessionId);
+  }
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+  sendJson(res, 200, { ok: true });
+}
+
+function handleMeRequest(req, res) {
+  const agent = getAuthenticatedAgent(req);
+  if (!agent) {
+    sendJson(res, 401, { error: 'Not logged in' });
+    return;
+  }
+  sendJson(res, 200, { agent });
+}
+
+async function handlePinRequest(req, res, url, pinCode, action) {
+  // POST /pins - reserve a new PIN for a customer
+  if (!pinCode) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    // Every reservation holds a registry entry until it expires
+    const ip = clientIp(req);
+    const retryAfter = lockoutRemaining(ip) || consumeRate(`pin-ip:${ip}`, CONFIG.RATE_LIMIT.PIN_PER_IP, CONFIG.RATE_LIMIT.WINDOW);
+    if (retryAfter) {
+      sendTooManyRequests(res, retryAfter);
+      return;
+    }
+    const body = await parseBody(req);
+    const region = body.region === undefined ? CONFIG.DEFAULT_REGION : body.region;
+    if (typeof region !== 'string' || !isKnownRegion(region)) {
+      sendJson(res, 400, { error: 'Unknown region', field: 'region' });
+      return;
+    }
+    const identity = validateIdentity({ userId: body.userId });
+    if (identity.error) {
+      sendJson(res, 400, { error: identity.error, field: identity.field });
+      return;
+    }
+    const entry = reservePin(region, identity.identity.userId || null);
+    console.log(`[${new Date().toISOString()}] PIN reserved: ${entry.pinCode} (${region})`);
+    sendJson(res, 201, { ...describePin(entry), expiresIn: CONFIG.PIN_TTL });
+    return;
+  }
+  
+  const validation = validatePinCode(pinCode, CONFIG.PIN_LENGTH);
+  if (validation.status !== 'valid') {
+    sendJson(res, 400, { error: validation.message || 'PIN is too short', status: 'invalid' });
+    return;
+  }
+  
+  const entry = pinRegistry.get(validation.pinCode);
+  if (!entry) {
+    sendJson(res, 404, { error: 'PIN not found', status: 'unknown' });
+    return;
+  }
+  const status = getPinStatus(entry);
+  
+  // GET /pins/:pin - check a PIN
+  if (!action && req.method === 'GET') {
+    sendJson(res, 200, describePin(entry));
+    return;
+  }
+  
+  // DELETE /pins/:pin?userId=&reason= - customer session is over, forget
+  // the PIN. Only the customer who reserved it or the agent holding it may.
+  if (!action && req.method === 'DELETE') {
+    const agent = getAuthenticatedAgent(req);
+    const isHolder = Boolean(agent) && status === 'claimed' && entry.claimedBy.id === agent.id;
+    const isCustomer = Boolean(entry.customerId) && url.searchParams.get('userId') === entry.customerId;
+    if (!isHolder && !isCustomer) {
+      sendJson(res, 403, { error: 'Only the customer or agent of this PIN can delete it' });
+      return;
+    }
+    const reason = url.searchParams.get('reason');
+    if (reason !== null && !EVENT_NAME_PATTERN.test(reason)) {
+      sendJson(res, 400, { error: 'reason must be a lowercase event name', field: 'reason' });
+      return;
+    }
+    
+    pinRegistry.delete(entry.pinCode);
+    notifyQueueChanged();
+    if (activeSessions.has(entry.pinCode)) {
+      endSessionRecord(activeSessions.get(entry.pinCode), reason || 'customer_ended');
+      notifyAdmin();
+    }
+    console.log(`[${new Date().toISOString()}] PIN deleted: ${entry.pinCode}`);
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  
+  if (action === 'presence') {
+    await handlePinPresenceRequest(req, res, entry, status);
+    return;
+  }
+  
+  if (action === 'context') {
+    await handlePinContextRequest(req, res, entry, status);
+    return;
+  }
+  
+  if (!action || req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const agent = getAuthenticatedAgent(req);
+  if (!agent) {
+    sendJson(res, 401, { error: 'Agent login required' });
+    return;
+  }
+  
+  // POST /pins/:pin/claim - an agent takes the PIN; only one agent can hold it
+  if (action === 'claim') {
+    if (status === 'expired') {
+      sendJson(res, 410, { error: 'PIN has expired', status });
+      return;
+    }
+    if (status === 'claimed' && entry.claimedBy.id !== agent.id) {
+      sendJson(res, 409, { error: 'PIN is already in use by another agent', status });
+      return;
+    }
+    // The agent must join through the same Zoom region as the customer,
+    // on a reclaim as much as on the first claim
+    const body = await parseBody(req);
+    const agentRegion = resolveRegion({ region: body.region });
+    if (agentRegion.error) {
+      sendJson(res, 400, { error: agentRegion.error, field: agentRegion.field });
+      return;
+    }
+    if (agentRegion.region !== entry.region) {
+      sendJson(res, 409, {
+        error: `Region mismatch: customer is in ${entry.region}, agent is in ${agentRegion.region}`,
+        status: 'region_mismatch',
+        customerRegion: entry.region,
+        agentRegion: agentRegion.region
+      });
+      return;
+    }
+    // The claiming agent may claim again, e.g. to rejoin after a page reload
+    if (status === 'claimed') {
+      appendAuditRecord({ role: 'server', pinCode: entry.pinCode, userId: agent.id, event: 'pin_reclaimed', payload: null });
+      sendJson(res, 200, describePin(entry));
+      return;
+    }
+    entry.status = 'claimed';
+    entry.claimedAt = Date.now();
+    entry.claimedBy = agent;
+    notifyQueueChanged();
+    if (activeSessions.has(entry.pinCode)) {
+      activeSessions.get(entry.pinCode).agent = agent;
+      notifyAdmin();
+    }
+    appendAuditRecord({ role: 'server', pinCode: entry.pinCode, userId: agent.id, event: 'pin_claimed', payload: null });
+    console.log(`[${new Date().toISOString()}] PIN claimed: ${entry.pinCode} by ${agent.id}`);
+    sendJson(res, 200, describePin(entry));
+    return;
+  }
+  
+  // POST /pins/:pin/release - give a claimed PIN back (e.g. join failed)
+  if (status !== 'claimed') {
+    sendJson(res, 409, { error: 'PIN is not claimed', status });
+    return;
+  }
+  if (entry.claimedBy.id !== agent.id) {
+    sendJson(res, 403, { error: 'PIN is claimed by another agent', status });
+    return;
+  }
+  entry.status = 'active';
+  entry.claimedAt = null;
+  entry.claimedBy = null;
+  entry.expiresAt = Date.now() + (entry.queue ? CONFIG.QUEUE_TTL : CONFIG.PIN_TTL) * 1000;
+  notifyQueueChanged();
+  appendAuditRecord({ role: 'server', pinCode: entry.pinCode, userId: agent.id, event: 'pin_released', payload: null });
+  console.log(`[${new Date().toISOString()}] PIN released: ${entry.pinCode}`);
+  sendJson(res, 200, describePin(entry));
+}
+
+/**
+ * PUT /pins/:pin/context - the customer page attaches (or updates) the
+ * session context. GET /pins/:pin/context - the agent holding the PIN
+ * reads it.
+ */
+async function handlePinContextRequest(req, res, entry, status) {
+  if (req.method === 'GET') {
+    const agent = getAuthenticatedAgent(req);
+    if (!agent) {
+      sendJson(res, 401, { error: 'Agent login required' });
+      return;
+    }
+    if (status !== 'claimed' || entry.claimedBy.id !== agent.id) {
+      sendJson(res, 403, { error: 'Claim the PIN to see its context', status });
+      return;
+    }
+    sendJson(res, 200, { pinCode: entry.pinCode, context: entry.context });
+    return;
+  }
+  
+  if (req.method !== 'PUT') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  if (status === 'expired') {
+    sendJson(res, 410, { error: 'PIN has expired', status });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  const identity = validateIdentity({ userId: body.userId });
+  if (identity.error) {
+    sendJson(res, 400, { error: identity.error, field: identity.field });
+    return;
+  }
+  if (entry.customerId && entry.customerId !== identity.identity.userId) {
+    sendJson(res, 403, { error: 'PIN was reserved by another customer' });
+    return;
+  }
+  
+  const result = validateContext(body);
+  if (result.error) {
+    sendJson(res, 400, { error: result.error, field: result.field });
+    return;
+  }
+  entry.context = result.context;
+  notifyContext(entry);
+  
+  // Custom field values stay out of the audit log
+  const summary = {
+    ticketNumber: result.context.ticketNumber,
+    accountId: result.context.accountId,
+    customFields: Object.keys(result.context.custom)
+  };
+  appendAuditRecord({ role: 'customer', pinCode: entry.pinCode, userId: identity.identity.userId || null, event: 'context_attached', payload: summary });
+  recordSessionEvent('customer', entry.pinCode, 'context_attached', summary, identity.identity);
+  
+  console.log(`[${new Date().toISOString()}] Context attached to PIN ${entry.pinCode}`);
+  sendJson(res, 200, { pinCode: entry.pinCode, context: entry.context });
+}
+
+/**
+ * POST /pins/:pin/presence - the customer page reports its tab being
+ * hidden ("away") or shown ("active") while the PIN is claimed.
+ */
+async function handlePinPresenceRequest(req, res, entry, status) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  const identity = validateIdentity({ userId: body.userId });
+  if (identity.error) {
+    sendJson(res, 400, { error: identity.error, field: identity.field });
+    return;
+  }
+  if (entry.customerId && entry.customerId !== identity.identity.userId) {
+    sendJson(res, 403, { error: 'PIN was reserved by another customer' });
+    return;
+  }
+  if (!PRESENCE_EVENTS[body.presence]) {
+    sendJson(res, 400, { error: 'presence must be away or active', field: 'presence' });
+    return;
+  }
+  if (status !== 'claimed') {
+    sendJson(res, 409, { error: 'No agent holds the PIN', status });
+    return;
+  }
+  
+  notifyPresence(entry, body.presence);
+  appendAuditRecord({ role: 'customer', pinCode: entry.pinCode, userId: identity.identity.userId || null, event: PRESENCE_EVENTS[body.presence], payload: null });
+  res.writeHead(204);
+  res.end();
+}
+
+async function handleQueueRequest(req, res, action) {
+  // POST /queue - customer with an active PIN starts waiting for an agent
+  if (!action && req.method === 'POST') {
+    const body = await parseBody(req);
+    const entry = typeof body.pinCode === 'string' && pinRegistry.get(body.pinCode.toUpperCase());
+    if (!entry || getPinStatus(entry) !== 'active') {
+      sendJson(res, 409, { error: 'PIN is not active' });
+      return;
+    }
+    
+    const name = typeof body.name === 'string'
+      ? body.name.replace(/[\p{Cc}\p{Cf}]/gu, '').trim().slice(0, CONFIG.USER_NAME_MAX_LENGTH)
+      : '';
+    const pageUrl = typeof body.pageUrl === 'string' ? body.pageUrl.slice(0, 2048) : '';
+    
+    entry.queue = {
+      name: name || 'Customer',
+      pageUrl,
+      waitingSince: entry.queue ? entry.queue.waitingSince : Date.now()
+    };
+    entry.expiresAt = Date.now() + CONFIG.QUEUE_TTL * 1000;
+    notifyQueueChanged();
+    console.log(`[${new Date().toISOString()}] Queued: ${entry.pinCode}`);
+    sendJson(res, 201, describePin(entry));
+    return;
+  }
+  
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const agent = getAuthenticatedAgent(req);
+  if (!agent) {
+    sendJson(res, 401, { error: 'Agent login required' });
+    return;
+  }
+  
+  // GET /queue/events - live queue updates (and the presence of the
+  // agent's customers) for the agent page
+  if (action === 'events') {
+    res.agentId = agent.id;
+    openEventStream(req, res, queueSubscribers);
+    sendEvent(res, 'queue', getQueue());
+    return;
+  }
+  
+  // GET /queue - current queue snapshot
+  sendJson(res, 200, getQueue());
+}
+
+async function handleEventReport(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  const role = Number(body.role);
+  
+  if (!ROLE_NAMES[role]) {
+    sendJson(res, 400, { error: 'role must be 1 (customer) or 2 (agent)', field: 'role' });
+    return;
+  }
+  if (typeof body.event !== 'string' || !EVENT_NAME_PATTERN.test(body.event)) {
+    sendJson(res, 400, { error: 'event must be a lowercase event name', field: 'event' });
+    return;
+  }
+  if (SERVER_EVENTS.includes(body.event)) {
+    sendJson(res, 400, { error: `${body.event} is recorded by the server`, field: 'event' });
+    return;
+  }
+  if (typeof body.pinCode !== 'string' || !/^[A-Za-z0-9]{1,10}$/.test(body.pinCode)) {
+    sendJson(res, 400, { error: 'pinCode is required', field: 'pinCode' });
+    return;
+  }
+  
+  // Agent events are attributed to the logged-in agent, never to the body
+  let actor;
+  if (role === 2) {
+    actor = getAuthenticatedAgent(req);
+    if (!actor) {
+      sendJson(res, 401, { error: 'Agent login required' });
+      return;
+    }
+  } else {
+    const result = validateIdentity({ userId: body.userId, userName: body.userName });
+    if (result.error) {
+      sendJson(res, 400, { error: result.error, field: result.field });
+      return;
+    }
+    actor = result.identity;
+  }
+  
+  const pinCode = body.pinCode.toUpperCase();
+  const payload = limitPayload(body.payload);
+  
+  // Customer events must come from the customer the PIN was reserved for
+  if (role === 1) {
+    const entry = pinRegistry.get(pinCode);
+    const session = activeSessions.get(pinCode);
+    const customerId = entry ? entry.customerId : session && session.customer && session.customer.userId;
+    if (customerId && actor.userId !== customerId) {
+      sendJson(res, 403, { error: 'PIN was reserved by another customer' });
+      return;
+    }
+  }
+  
+  // Agent events must come from the agent holding the PIN, or the one who
+  // was in the session if the PIN is already released
+  if (role === 2) {
+    const entry = pinRegistry.get(pinCode);
+    const session = activeSessions.get(pinCode) || recentSessions.find(record => record.pinCode === pinCode);
+    const holds = (entry && entry.claimedBy && entry.claimedBy.id === actor.id) ||
+      (session && session.agent && session.agent.id === actor.id);
+    if (!holds) {
+      sendJson(res, 403, { error: 'PIN is not held by this agent' });
+      return;
+    }
+  }
+  
+  appendAuditRecord({
+    role: ROLE_NAMES[role],
+    pinCode,
+    userId: (role === 2 ? actor.id : actor.userId) || null,
+    event: body.event,
+    payload
+  });
+  recordSessionEvent(ROLE_NAMES[role], pinCode, body.event, payload, actor);
+  
+  res.writeHead(204);
+  res.end();
+}
+
+async function handleAuditQuery(req, res, url) {
+  // Records name customers and agents across all sessions: admins only
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+  
+  const params = url.searchParams;
+  const to = params.get('to') ? new Date(params.get('to')) : new Date();
+  const from = params.get('from') ? new Date(params.get('from')) : new Date(to.getTime() - 24 * 3600 * 1000);
+  
+  if (isNaN(from) || isNaN(to) || from > to) {
+    sendJson(res, 400, { error: 'from and to must be ISO dates with from <= to' });
+    return;
+  }
+  if (to - from > CONFIG.AUDIT_MAX_QUERY_DAYS * 24 * 3600 * 1000) {
+    sendJson(res, 400, { error: `Date range must not exceed ${CONFIG.AUDIT_MAX_QUERY_DAYS} days` });
+    return;
+  }
+  
+  try {
+    const records = await queryAuditLog({
+      pinCode: params.get('pin') ? params.get('pin').toUpperCase() : null,
+      event: params.get('event'),
+      from,
+      to,
+      limit: Math.min(parseInt(params.get('limit'), 10) || 1000, 10000)
+    });
+    
+    sendJson(res, 200, { from: from.toISOString(), to: to.toISOString(), count: records.length, records });
+  } catch (error) {
+    console.error('Audit query error:', error);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+function handleAdminRequest(req, res, pathname) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+  
+  if (pathname === '/admin/api/sessions') {
+    sendJson(res, 200, getSessionSnapshot());
+    return;
+  }
+  
+  if (pathname === '/admin/events') {
+    openEventStream(req, res, adminSubscribers);
+    sendEvent(res, 'sessions', getSessionSnapshot());
+    return;
+  }
+  
+  if (pathname === '/admin' || pathname === '/admin/' || pathname === '/admin/index.html') {
+    serveFile(res, path.join(ROOT_DIR, 'admin', 'index.html'));
+    return;
+  }
+  
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * POST /consents - records the customer's consent before sharing starts.
+ * GET /consents?pin=&userId=&limit= - consent records (admin credentials).
+ * 
+ * The consent must be for the current policy version, and for a live PIN
+ * reserved by the same customer.
+ */
+async function handleConsentRequest(req, res, url) {
+  if (req.method === 'GET') {
+    if (!requireAdmin(req, res)) {
+      return;
+    }
+    const params = url.searchParams;
+    try {
+      const records = await queryConsents({
+        pinCode: params.get('pin') ? params.get('pin').toUpperCase() : null,
+        userId: params.get('userId'),
+        limit: Math.min(parseInt(params.get('limit'), 10) || 100, 10000)
+      });
+      sendJson(res, 200, { count: records.length, records });
+    } catch (error) {
+      console.error('Consent query error:', error);
+      sendJson(res, 500, { error: error.message });
+    }
+    return;
+  }
+  
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  
+  if (body.policyVersion !== CONFIG.CONSENT_POLICY_VERSION) {
+    sendJson(res, 409, {
+      error: 'The consent policy has changed, please review it again',
+      policyVersion: CONFIG.CONSENT_POLICY_VERSION
+    });
+    return;
+  }
+  
+  const entry = typeof body.pinCode === 'string' && pinRegistry.get(body.pinCode.toUpperCase());
+  if (!entry || getPinStatus(entry) === 'expired') {
+    sendJson(res, 409, { error: 'PIN is no longer active' });
+    return;
+  }
+  
+  const result = validateIdentity({ userId: body.userId, userName: body.userName });
+  if (result.error) {
+    sendJson(res, 400, { error: result.error, field: result.field });
+    return;
+  }
+  if (entry.customerId && entry.customerId !== result.identity.userId) {
+    sendJson(res, 403, { error: 'PIN was reserved by another customer' });
+    return;
+  }
+  
+  const consentedAt = new Date(body.consentedAt);
+  const record = {
+    consentId: crypto.randomUUID(),
+    pinCode: entry.pinCode,
+    userId: result.identity.userId || null,
+    userName: result.identity.userName || null,
+    policyVersion: CONFIG.CONSENT_POLICY_VERSION,
+    // Shown to the customer when they agreed - kept as proof of what they saw
+    shared: Array.isArray(body.shared) ? body.shared.map(String).slice(0, 20) : [],
+    masked: Array.isArray(body.masked) ? body.masked.map(String).slice(0, 20) : [],
+    consentedAt: isNaN(consentedAt) ? null : consentedAt.toISOString(),  // Client clock
+    recordedAt: new Date().toISOString(),
+    ip: clientIp(req),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 256)
+  };
+  
+  await appendConsentRecord(record);
+  
+  const summary = {
+    consentId: record.consentId,
+    policyVersion: record.policyVersion,
+    consentedAt: record.consentedAt,
+    recordedAt: record.recordedAt
+  };
+  appendAuditRecord({ role: 'customer', pinCode: entry.pinCode, userId: record.userId, event: 'consent_granted', payload: summary });
+  recordSessionEvent('customer', entry.pinCode, 'consent_granted', summary, result.identity);
+  
+  console.log(`[${new Date().toISOString()}] Consent recorded for PIN ${entry.pinCode} (policy ${record.policyVersion})`);
+  sendJson(res, 201, summary);
+}
+
+/**
+ * POST /zoom/webhook - Zoom's event notifications: the URL validation
+ * challenge and Cobrowse session events (see ZOOM WEBHOOKS).
+ */
+async function handleZoomWebhook(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  if (!CONFIG.ZOOM_WEBHOOK_SECRET) {
+    sendJson(res, 503, { error: 'Zoom webhooks are not configured (set ZOOM_WEBHOOK_SECRET)' });
+    return;
+  }
+  
+  const raw = await readRawBody(req);
+  const signatureError = verifyZoomSignature(req.headers, raw);
+  if (signatureError) {
+    console.warn(`[${new Date().toISOString()}] Zoom webhook rejected: ${signatureError}`);
+    sendJson(res, 401, { error: signatureError });
+    return;
+  }
+  const body = parseJsonBody(raw);
+  
+  // Zoom checks the endpoint before sending events to it
+  if (body.event === 'endpoint.url_validation') {
+    const plainToken = body.payload && body.payload.plainToken;
+    if (typeof plainToken !== 'string' || !plainToken) {
+      sendJson(res, 400, { error: 'plainToken is required' });
+      return;
+    }
+    const encryptedToken = crypto.createHmac('sha256', CONFIG.ZOOM_WEBHOOK_SECRET).update(plainToken).digest('hex');
+    sendJson(res, 200, { plainToken, encryptedToken });
+    return;
+  }
+  
+  const result = reconcileZoomEvent(body);
+  console.log(`[${new Date().toISOString()}] Zoom webhook ${body.event}: ${result}`);
+  // Zoom retries anything but a 2xx, and retrying does not make a PIN known
+  sendJson(res, 200, { received: true, result });
+}
+
+/**
+ * Webhook administration (admin credentials):
+ * GET /webhooks - configured subscriptions, without their secrets
+ * GET /webhooks/deliveries?status=&event=&webhook=&limit= - delivery log, newest first
+ * POST /webhooks/deliveries/:id/replay - deliver a failed delivery again
+ * POST /webhooks/deliveries/replay?webhook= - replay every failed delivery
+ */
+function handleWebhookRequest(req, res, url, section, deliveryId, action) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+  
+  if (!section) {
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    sendJson(res, 200, {
+      events: WEBHOOK_EVENTS,
+      webhooks: WEBHOOKS.map(({ id, url: webhookUrl, events }) => ({ id, url: webhookUrl, events }))
+    });
+    return;
+  }
+  
+  const params = url.searchParams;
+  
+  if (!action) {
+    if (req.method !== 'GET' || deliveryId) {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const status = params.get('status');
+    const event = params.get('event');
+    const webhookId = params.get('webhook');
+    const limit = Math.min(parseInt(params.get('limit'), 10) || 100, 1000);
+    const deliveries = [...webhookDeliveries.values()]
+      .filter(d => (!status || d.status === status) && (!event || d.event === event) && (!webhookId || d.webhookId === webhookId))
+      .reverse()
+      .slice(0, limit);
+    sendJson(res, 200, { count: deliveries.length, deliveries });
+    return;
+  }
+  
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  if (deliveryId) {
+    const delivery = webhookDeliveries.get(deliveryId);
+    if (!delivery) {
+      sendJson(res, 404, { error: 'Delivery not found' });
+      return;
+    }
+    if (delivery.status !== 'failed') {
+      sendJson(res, 409, { error: `Only failed deliveries can be replayed (this one is ${delivery.status})` });
+      return;
+    }
+    replayDelivery(delivery);
+    appendAuditRecord({ role: 'server', pinCode: delivery.payload.session.pinCode, userId: CONFIG.ADMIN_USER, event: 'webhook_replayed', payload: { deliveryIds: [deliveryId] } });
+    sendJson(res, 202, delivery);
+    return;
+  }
+  
+  const webhookId = params.get('webhook');
+  const failed = [...webhookDeliveries.values()].filter(d => d.status === 'failed' && (!webhookId || d.webhookId === webhookId));
+  failed.forEach(replayDelivery);
+  if (failed.length > 0) {
+    appendAuditRecord({ role: 'server', pinCode: null, userId: CONFIG.ADMIN_USER, event: 'webhook_replayed', payload: { deliveryIds: failed.map(d => d.deliveryId) } });
+  }
+  console.log(`[${new Date().toISOString()}] Replaying ${failed.length} failed webhook deliveries`);
+  sendJson(res, 202, { count: failed.length, deliveryIds: failed.map(d => d.deliveryId) });
+}
+
+/**
+ * POST /wrapups - the agent's wrap-up of a session they were joined to.
+ * GET /wrapups (JSON) and GET /wrapups.csv - admin export, filtered by
+ * pin, agent and from/to (default: the last 7 days).
+ */
+async function handleWrapUpRequest(req, res, url, csv) {
+  if (req.method === 'GET') {
+    if (!requireAdmin(req, res)) {
+      return;
+    }
+    const params = url.searchParams;
+    const to = params.get('to') ? Date.parse(params.get('to')) : Date.now();
+    const from = params.get('from') ? Date.parse(params.get('from')) : to - 7 * 24 * 3600 * 1000;
+    if (isNaN(from) || isNaN(to) || from > to) {
+      sendJson(res, 400, { error: 'from and to must be dates, from before to' });
+      return;
+    }
+    
+    try {
+      const records = await queryWrapUps({
+        pinCode: params.get('pin') ? params.get('pin').toUpperCase() : null,
+        agentId: params.get('agent'),
+        from,
+        to,
+        limit: Math.min(parseInt(params.get('limit'), 10) || (csv ? 10000 : 100), 10000)
+      });
+      if (csv) {
+        const day = (time) => new Date(time).toISOString().slice(0, 10);
+        res.writeHead(200, {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="wrapups-${day(from)}-${day(to)}.csv"`,
+          'Cache-Control': 'no-store'
+        });
+        res.end(wrapUpsToCsv(records));
+        return;
+      }
+      sendJson(res, 200, { count: records.length, records });
+    } catch (error) {
+      console.error('Wrap-up query error:', error);
+      sendJson(res, 500, { error: error.message });
+    }
+    return;
+  }
+  
+  if (req.method !== 'POST' || csv) {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const agent = getAuthenticatedAgent(req);
+  if (!agent) {
+    sendJson(res, 401, { error: 'Agent login required' });
+    return;
+  }
+  
+  const body = await parseBody(req);
+  
+  if (typeof body.pinCode !== 'string' || !/^[A-Za-z0-9]{1,10}$/.test(body.pinCode)) {
+    sendJson(res, 400, { error: 'pinCode is required', field: 'pinCode' });
+    return;
+  }
+  const disposition = CONFIG.DISPOSITION_CODES.find(option => option.code === body.disposition);
+  if (!disposition) {
+    sendJson(res, 400, { error: 'disposition must be one of the configured codes', field: 'disposition' });
+    return;
+  }
+  if (typeof body.resolved !== 'boolean') {
+    sendJson(res, 400, { error: 'resolved must be true or false', field: 'resolved' });
+    return;
+  }
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    sendJson(res, 400, { error: 'notes must be a string', field: 'notes' });
+    return;
+  }
+  
+  // Only the agent who was in the session can wrap it up, so the server
+  // must still know the session (active or among the recent ones)
+  const pinCode = body.pinCode.toUpperCase();
+  const session = activeSessions.get(pinCode) || recentSessions.find(record => record.pinCode === pinCode);
+  if (!session) {
+    sendJson(res, 404, { error: 'Session not found' });
+    return;
+  }
+  if (!session.agent || session.agent.id !== agent.id) {
+    sendJson(res, 403, { error: 'Session was handled by another agent' });
+    return;
+  }
+  
+  const timings = body.session && typeof body.session === 'object' ? body.session : {};
+  const record = {
+    wrapUpId: crypto.randomUUID(),
+    submittedAt: new Date().toISOString(),
+    pinCode,
+    // Ticket and account the customer page attached (see SESSION CONTEXT)
+    ticketNumber: session.context ? session.context.ticketNumber : null,
+    accountId: session.context ? session.context.accountId : null,
+    agentId: agent.id,
+    agentName: agent.name,
+    disposition: disposition.code,
+    dispositionLabel: disposition.label,
+    resolved: body.resolved,
+    // Line breaks are kept; other control characters are dropped
+    notes: (body.notes || '').replace(/[^\P{Cc}\n]/gu, '').trim().slice(0, CONFIG.WRAPUP_NOTES_MAX_LENGTH),
+    // Server-side view of the session
+    sessionStartedAt: session.startedAt,
+    endReason: session.endReason,
+    // The agent page's own view: when this agent joined and left
+    agentJoinedAt: isoOrNull(timings.joinedAt),
+    agentLeftAt: isoOrNull(timings.endedAt),
+    durationSeconds: countOrNull(timings.durationSeconds),
+    awayCount: countOrNull(timings.awayCount),
+    awaySeconds: countOrNull(timings.awaySeconds),
+    transferred: timings.transferred === true
+  };
+  
+  await appendWrapUpRecord(record);
+  appendAuditRecord({
+    role: 'agent',
+    pinCode,
+    userId: agent.id,
+    event: 'wrapup_submitted',
+    payload: { wrapUpId: record.wrapUpId, disposition: record.disposition, resolved: record.resolved }
+  });
+  
+  console.log(`[${new Date().toISOString()}] Wrap-up for PIN ${pinCode} by ${agent.id}: ${record.disposition}`);
+  sendJson(res, 201, record);
+}
+
+/**
+ * GET /pii-policy?tenant= - masking rules for the customer page.
+ * 
+ * Versioned with an ETag (policy version plus content hash), so pages
+ * revalidate cheaply and the version can be checked in QA.
+ */
+function handlePiiPolicyRequest(req, res, url) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  const { policy, etag } = getPiiPolicy();
+  const tenant = url.searchParams.get('tenant') || null;
+  const tenantEtag = tenant ? `${etag.slice(0, -1)}-${tenant}"` : etag;
+  
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('ETag', tenantEtag);
+  if (req.headers['if-none-match'] === tenantEtag) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+  
+  sendJson(res, 200, policyForTenant(policy, tenant));
+}
+
+// Public settings the pages load before initializing the SDK, so one
+// build can serve any environment. Never include secrets here.
+function handleClientConfigRequest(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, {
+    sdkKey: CONFIG.SDK_KEY,
+    zoomHost: CONFIG.ZOOM_REGIONS[CONFIG.DEFAULT_REGION],
+    defaultRegion: CONFIG.DEFAULT_REGION,
+    regions: Object.keys(CONFIG.ZOOM_REGIONS),
+    pinLength: CONFIG.PIN_LENGTH,
+    features: CONFIG.FEATURES,
+    timeouts: CONFIG.SESSION_TIMEOUTS,
+    consent: {
+      policyVersion: CONFIG.CONSENT_POLICY_VERSION,
+      policyUrl: CONFIG.CONSENT_POLICY_URL
+    },
+    dispositionCodes: CONFIG.DISPOSITION_CODES
+  });
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+// Apps in CORS_ORIGINS may call the API from the embedded customer widget.
+// Credentials are never allowed cross-origin, so agent and admin sessions
+// stay same-origin.
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || !(CONFIG.CORS_ORIGINS.includes('*') || CONFIG.CORS_ORIGINS.includes(origin))) {
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+  res.setHeader('Access-Control-Max-Age', '600');
+}
+
+async function routeRequest(req, res) {
+  applyCors(req, res);
+  
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const pathname = url.pathname;
+  
+  console.log(`[${new Date().toISOString()}] ${req.method} ${pathname}`);
+  
+  // API Routes
+  if (pathname === '/token') {
+    await handleTokenRequest(req, res, url);
+    return;
+  }
+  
+  if (pathname === '/token/refresh') {
+    await handleTokenRefreshRequest(req, res);
+    return;
+  }
+  
+  if (pathname === '/config') {
+    handleClientConfigRequest(req, res);
+    return;
+  }
+  
+  if (pathname === '/login') {
+    await handleLoginRequest(req, res);
+    return;
+  }
+  
+  if (pathname === '/logout') {
+    handleLogoutRequest(req, res);
+    return;
+  }
+  
+  if (pathname === '/me') {
+    handleMeRequest(req, res);
+    return;
+  }
+  
+  const pinMatch = pathname.match(/^\/pins(?:\/([A-Za-z0-9]+)(?:\/(claim|release|context|presence))?)?\/?$/);
+  if (pinMatch) {
+    await handlePinRequest(req, res, url, pinMatch[1], pinMatch[2]);
+    return;
+  }
+  
+  const queueMatch = pathname.match(/^\/queue(?:\/(events))?\/?$/);
+  if (queueMatch) {
+    await handleQueueRequest(req, res, queueMatch[1]);
+    return;
+  }
+  
+  if (pathname === '/events') {
+    await handleEventReport(req, res);
+    return;
+  }
+  
+  if (pathname === '/pii-policy') {
+    handlePiiPolicyRequest(req, res, url);
+    return;
+  }
+  
+  if (pathname === '/consents') {
+    await handleConsentRequest(req, res, url);
+    return;
+  }
+  
+  if (pathname === '/audit') {
+    await handleAuditQuery(req, res, url);
+    return;
+  }
+  
+  const wrapUpMatch = pathname.match(/^\/wrapups(\.csv)?\/?$/);
+  if (wrapUpMatch) {
+    await handleWrapUpRequest(req, res, url, Boolean(wrapUpMatch[1]));
+    return;
+  }
+  
+  if (pathname === '/zoom/webhook') {
+    await handleZoomWebhook(req, res);
+    return;
+  }
+  
+  const webhookMatch = pathname.match(/^\/webhooks(?:\/(deliveries)(?:\/([0-9a-f-]{36}))?(?:\/(replay))?)?\/?$/);
+  if (webhookMatch) {
+    handleWebhookRequest(req, res, url, webhookMatch[1], webhookMatch[2], webhookMatch[3]);
+    return;
+  }
+  
+  if (pathname === '/admin' || pathname.startsWith('/admin/')) {
+    handleAdminRequest(req, res, pathname);
+    return;
+  }
+  
+  if (pathname === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok' }));
+    return;
+  }
+  
+  // Static file routes
+  let filePath;
+  
+  if (pathname === '/' || pathname === '/customer' || pathname === '/customer/') {
+    filePath = path.join(ROOT_DIR, 'customer', 'index.html');
+  } else if (pathname === '/agent' || pathname === '/agent/') {
+    filePath = path.join(ROOT_DIR, 'agent', 'index.html');
+  } else if (pathname.startsWith('/dist/')) {
+    filePath = path.join(ROOT_DIR, pathname);
+  } else {
+    filePath = path.join(ROOT_DIR, pathname);
+  }
+  
+  // Security check
+  if (!filePath.startsWith(ROOT_DIR) || filePath === DATA_DIR || filePath.startsWith(DATA_DIR + path.sep)) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('403 Forbidden');
+    return;
+  }
+  
+  // Check if directory and serve index.html
+  fs.stat(filePath, (err, stats) => {
+    if (!err && stats.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    serveFile(res, filePath);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    await routeRequest(req, res);
+  } catch (error) {
+    // HttpErrors (bad body, oversized body) are the client's fault
+    if (!(error instanceof HttpError)) {
+      console.error('Request error:', error);
+    }
+    if (!res.headersSent) {
+      sendJson(res, error.status || 500, { error: error.message });
+    } else {
+      res.end();
+    }
+  }
 });
 
 server.listen(PORT, '0.0.0.0', () => {
@@ -230,14 +2838,30 @@ server.listen(PORT, '0.0.0.0', () => {
 ║  Pages:                                                      ║
 ║    /customer  - Customer page                                ║
 ║    /agent     - Agent viewer                                 ║
+║    /admin     - Admin dashboard (ADMIN_PASSWORD)             ║
 ║                                                              ║
 ║  API:                                                        ║
-║    /token     - Get SDK token                                ║
+║    /token     - Get SDK token (/token/refresh to renew)      ║
+║    /config    - Client settings (SDK key, host, features)    ║
+║    /pins      - Reserve / check / claim PINs, session context║
+║    /login     - Agent login                                  ║
+║    /queue     - Support queue (SSE: /queue/events)           ║
+║    /events    - Report session events (audit log)            ║
+║    /consents  - Record customer consent before sharing       ║
+║    /pii-policy - PII masking rules (data/pii-policy.json)    ║
+║    /audit     - Query audit log                              ║
+║    /wrapups   - Session wrap-ups (admin export: /wrapups.csv)║
+║    /webhooks  - Webhook deliveries, replay failed (admin)    ║
+║    /zoom/webhook - Zoom Cobrowse event notifications         ║
 ║    /health    - Health check                                 ║
 ║                                                              ║
 ║  Environment:                                                ║
 ║    SDK_KEY:    ${CONFIG.SDK_KEY === 'YOUR_SDK_KEY_HERE' ? '(not set)' : 'configured'}                                   ║
 ║    SDK_SECRET: ${CONFIG.SDK_SECRET === 'YOUR_SDK_SECRET_HERE' ? '(not set)' : 'configured'}                                   ║
+║    Agents:     ${String(AGENTS.length).padEnd(46)}║
+║    Admin:      ${(CONFIG.ADMIN_PASSWORD ? 'enabled' : '(disabled)').padEnd(46)}║
+║    Webhooks:   ${String(WEBHOOKS.length).padEnd(46)}║
+║    Zoom hooks: ${(CONFIG.ZOOM_WEBHOOK_SECRET ? 'enabled' : '(disabled)').padEnd(46)}║
 ╚══════════════════════════════════════════════════════════════╝
   `);
 });
@@ -0,0 +1,191 @@
+/**
+ * Server tests: starts server.js on a free port with its data files in a
+ * temporary directory and talks to it over HTTP.
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_PASSWORD = 'test-admin';
+const ZOOM_SECRET = 'test-zoom-secret';
+
+let server;
+let baseUrl;
+let dataDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const response = await fetch(`${baseUrl}/config`);
+      if (response.ok) {
+        return;
+      }
+    } catch (e) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+function post(pathname, body, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+// Signs the body the way Zoom does (see verifyZoomSignature)
+function postZoomEvent(event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = 'v0=' + crypto.createHmac('sha256', ZOOM_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+  return post('/zoom/webhook', body, {
+    'x-zm-request-timestamp': String(timestamp),
+    'x-zm-signature': signature
+  });
+}
+
+async function login(username) {
+  const response = await post('/login', { username, password: 'test-password' });
+  assert.equal(response.status, 200);
+  return { Cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+// Resolves with the data of the first `type` event on the agent's queue stream
+async function nextStreamEvent(headers, type) {
+  const response = await fetch(`${baseUrl}/queue/events`, { headers });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error(`Stream closed before a ${type} event`);
+      }
+      buffer += decoder.decode(value, { stream: true });
+      const match = buffer.match(new RegExp(`event: ${type}\ndata: (.*)\n`));
+      if (match) {
+        return JSON.parse(match[1]);
+      }
+    }
+  } finally {
+    reader.cancel();
+  }
+}
+
+async function getDeliveries(event) {
+  const response = await fetch(`${baseUrl}/webhooks/deliveries?event=${event}`, {
+    headers: { Authorization: 'Basic ' + Buffer.from(`admin:${ADMIN_PASSWORD}`).toString('base64') }
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).deliveries;
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cobrowse-test-'));
+  const salt = crypto.randomBytes(16);
+  const passwordHash = `scrypt$${salt.toString('hex')}$${crypto.scryptSync('test-password', salt, 32).toString('hex')}`;
+  fs.writeFileSync(path.join(dataDir, 'agents.json'), JSON.stringify({
+    agents: [{ id: 'agent-001', name: 'Demo Agent', username: 'agent', passwordHash }]
+  }));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SDK_KEY: 'test-key',
+      SDK_SECRET: 'test-secret',
+      ADMIN_PASSWORD,
+      ZOOM_WEBHOOK_SECRET: ZOOM_SECRET,
+      // Nothing listens there; the deliveries are only counted
+      WEBHOOKS: JSON.stringify([{ id: 'test', url: 'http://127.0.0.1:9/', secret: 'test', events: ['session_started'] }]),
+      WEBHOOK_DELIVERY_FILE: path.join(dataDir, 'webhook-deliveries.ndjson'),
+      AUDIT_DIR: path.join(dataDir, 'audit'),
+      CONSENT_FILE: path.join(dataDir, 'consents.ndjson'),
+      WRAPUP_FILE: path.join(dataDir, 'wrapups.ndjson'),
+      AGENT_USERS_FILE: path.join(dataDir, 'agents.json')
+    },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sends session_started once when Zoom reports a start the page already reported', async () => {
+  const reserved = await post('/pins', { userId: 'crm-1234', userName: 'Jane Doe' });
+  assert.equal(reserved.status, 201);
+  const { pinCode } = await reserved.json();
+
+  const started = await post('/events', { pinCode, role: 1, userId: 'crm-1234', event: 'session_started' });
+  assert.equal(started.status, 204);
+
+  const object = {
+    session_id: crypto.randomUUID(),
+    pin_code: pinCode,
+    participant: { user_id: 'crm-1234', user_name: 'Jane Doe', role_type: 1 }
+  };
+  for (const event of ['cobrowse.session_started', 'cobrowse.customer_joined']) {
+    const response = await postZoomEvent({ event, event_ts: Date.now(), payload: { object } });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).result, 'applied');
+  }
+
+  const deliveries = (await getDeliveries('session_started')).filter(d => d.payload.session.pinCode === pinCode);
+  assert.equal(deliveries.length, 1);
+});
+
+test('relays customer presence to the agent holding the PIN', async () => {
+  const reserved = await post('/pins', { userId: 'crm-5678' });
+  const { pinCode } = await reserved.json();
+
+  // Not claimed yet: nobody to tell
+  const early = await post(`/pins/${pinCode}/presence`, { userId: 'crm-5678', presence: 'away' });
+  assert.equal(early.status, 409);
+
+  const agent = await login('agent');
+  const claimed = await post(`/pins/${pinCode}/claim`, {}, agent);
+  assert.equal(claimed.status, 200);
+
+  const otherCustomer = await post(`/pins/${pinCode}/presence`, { userId: 'crm-0000', presence: 'away' });
+  assert.equal(otherCustomer.status, 403);
+  const badPresence = await post(`/pins/${pinCode}/presence`, { userId: 'crm-5678', presence: 'gone' });
+  assert.equal(badPresence.status, 400);
+  const viaEvents = await post('/events', { pinCode, role: 1, userId: 'crm-5678', event: 'page_hidden' });
+  assert.equal(viaEvents.status, 400);
+
+  const presence = nextStreamEvent(agent, 'presence');
+  // Let the stream subscribe before reporting
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const reported = await post(`/pins/${pinCode}/presence`, { userId: 'crm-5678', presence: 'away' });
+  assert.equal(reported.status, 204);
+  const data = await presence;
+  assert.equal(data.pinCode, pinCode);
+  assert.equal(data.presence, 'away');
+});
@@ -0,0 +1,104 @@
+/**
+ * Zoom Cobrowse SDK - Lifecycle Events (shared by the customer and agent pages)
+ *
+ * The SDK session object is replaced on every start/join, so listeners
+ * registered on it are lost. The pages re-emit their lifecycle through one
+ * emitter that lives as long as the page, exposed as on/off/once on
+ * window.CobrowseCustomer and window.CobrowseAgent.
+ *
+ * Every listener receives a single event object:
+ *
+ * - type: event name, e.g. 'agent_joined'
+ * - source: 'customer' or 'agent'
+ * - pinCode: PIN of the session, or null before one is known
+ * - timestamp: when the event happened (ms since epoch)
+ * - ...details: event-specific fields, listed with each page's events
+ *
+ * Listening to '*' receives every event.
+ */
+
+/**
+ * @typedef {object} CobrowseEvent
+ * @property {string} type - Event name
+ * @property {'customer'|'agent'} source - Page that emitted the event
+ * @property {?string} pinCode - PIN of the session
+ * @property {number} timestamp - Milliseconds since epoch
+ */
+
+/**
+ * Creates the page's event emitter.
+ *
+ * @param {object} options
+ * @param {'customer'|'agent'} options.source - Page emitting the events
+ * @param {function(): ?string} [options.getPinCode] - Current PIN, used when
+ *   an event does not name one
+ * @param {string} [options.logPrefix='[Events]'] - Console prefix
+ * @returns {{on: function(string, function(CobrowseEvent): void): function(): void, off: function(string, function): void, once: function(string, function(CobrowseEvent): void): function(): void, emit: function(string, object=): void}}
+ *
+ * @example
+ * const events = createEventEmitter({ source: 'customer', getPinCode: () => currentPinCode });
+ * const unsubscribe = events.on('agent_joined', ({ agentName }) => console.log(agentName));
+ * events.emit('agent_joined', { agentName: 'Demo Agent' });
+ */
+export function createEventEmitter({ source, getPinCode, logPrefix = '[Events]' }) {
+  const listeners = new Map();  // type -> Set of listeners
+
+  function off(type, listener) {
+    const set = listeners.get(type);
+    if (set) {
+      // once() registers a wrapper; match it by the listener it wraps too
+      for (const registered of set) {
+        if (registered === listener || registered.listener === listener) {
+          set.delete(registered);
+          break;
+        }
+      }
+      if (set.size === 0) {
+        listeners.delete(type);
+      }
+    }
+  }
+
+  function on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Event listener must be a function');
+    }
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  }
+
+  function once(type, listener) {
+    const wrapper = (event) => {
+      off(type, wrapper);
+      listener(event);
+    };
+    wrapper.listener = listener;
+    return on(type, wrapper);
+  }
+
+  function emit(type, details = {}) {
+    const event = {
+      type,
+      source,
+      pinCode: getPinCode?.() ?? null,
+      timestamp: Date.now(),
+      ...details
+    };
+
+    // Copies: listeners may unsubscribe while being called
+    const targets = [...(listeners.get(type) || []), ...(listeners.get('*') || [])];
+    for (const listener of targets) {
+      try {
+        listener(event);
+      } catch (error) {
+        // A broken host page listener must not break the session
+        console.error(logPrefix, `Listener for "${type}" failed:`, error);
+      }
+    }
+  }
+
+  return { on, off, once, emit };
+}
@@ -0,0 +1,112 @@
+/**
+ * Zoom Cobrowse SDK - PIN Codes (shared by the server and the agent page)
+ *
+ * PINs are read out over the phone, so they only use characters that
+ * cannot be mistaken for each other: no 0/O and no 1/I. The last character
+ * is a check character (Luhn mod N over the alphabet), which catches any
+ * single mistyped character and most swapped neighbours before the agent
+ * page ever calls session.join().
+ *
+ * This file is CommonJS so server.js can require() it; the bundler
+ * handles it the same way for the browser.
+ */
+
+/** 32 unambiguous characters - a power of two, so random bytes map without bias */
+const PIN_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/** Length limits, check character included (the SDK allows up to 10) */
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 10;
+
+/**
+ * Computes the Luhn mod N check character for a PIN body.
+ * @param {string} body - PIN without its check character (alphabet characters only)
+ * @returns {string} The check character
+ */
+function checkCharacter(body) {
+  const n = PIN_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * PIN_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return PIN_ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Generates a random PIN from a cryptographically secure source.
+ * @param {number} [length=8] - Total length including the check character (4-10)
+ * @returns {string} The PIN code
+ */
+function generatePinCode(length = 8) {
+  const size = Math.min(Math.max(length, PIN_MIN_LENGTH), PIN_MAX_LENGTH);
+  const bytes = new Uint8Array(size - 1);
+  globalThis.crypto.getRandomValues(bytes);
+
+  let body = '';
+  for (const byte of bytes) {
+    body += PIN_ALPHABET[byte % PIN_ALPHABET.length];
+  }
+  return body + checkCharacter(body);
+}
+
+/**
+ * Normalizes typed input: uppercase, spaces and dashes removed.
+ * @param {string} input - PIN as typed
+ * @returns {string}
+ */
+function normalizePinCode(input) {
+  return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Checks a PIN, complete or still being typed.
+ *
+ * - `incomplete`: no error so far, but too short to check
+ * - `invalid`: wrong character, too long, or the check character does not match
+ * - `valid`: complete and the check character matches
+ *
+ * @param {string} input - PIN as typed
+ * @param {number} [length=8] - Expected total length
+ * @returns {{status: 'incomplete'|'invalid'|'valid', pinCode: string, message: ?string}}
+ *
+ * @example
+ * validatePinCode('ab0').message; // "PINs never contain 0, O, 1 or I"
+ */
+function validatePinCode(input, length = 8) {
+  const pinCode = normalizePinCode(input);
+
+  if (/[01OI]/.test(pinCode)) {
+    return { status: 'invalid', pinCode, message: 'PINs never contain 0, O, 1 or I' };
+  }
+  for (const char of pinCode) {
+    if (!PIN_ALPHABET.includes(char)) {
+      return { status: 'invalid', pinCode, message: `"${char}" is not a PIN character` };
+    }
+  }
+  if (pinCode.length < length) {
+    return { status: 'incomplete', pinCode, message: null };
+  }
+  if (pinCode.length > length) {
+    return { status: 'invalid', pinCode, message: `PIN should be ${length} characters` };
+  }
+  if (checkCharacter(pinCode.slice(0, -1)) !== pinCode.slice(-1)) {
+    return { status: 'invalid', pinCode, message: 'PIN has a typo - please check it with the customer' };
+  }
+  return { status: 'valid', pinCode, message: null };
+}
+
+module.exports = {
+  PIN_ALPHABET,
+  PIN_MIN_LENGTH,
+  PIN_MAX_LENGTH,
+  checkCharacter,
+  generatePinCode,
+  normalizePinCode,
+  validatePinCode
+};
@@ -0,0 +1,158 @@
+/**
+ * Zoom Cobrowse SDK - Session State (shared by the customer and agent pages)
+ *
+ * One explicit state per page instead of a nullable session reference and
+ * free-text status messages. Each role has a transition table; anything not
+ * in it is refused, so a double-clicked Start or a second join while one is
+ * in flight cannot initialize the SDK twice.
+ *
+ * Customer: idle → consenting → fetching_token → initializing → started
+ *   (waiting for an agent) ⇄ connected → ending → ended
+ * Agent: idle → fetching_token → initializing → joining → connected →
+ *   ending → ended
+ *
+ * Any active state can fail into `error`. `ended` and `error` are final for
+ * the session but not for the page: a new session starts from them.
+ *
+ * The SDK session's own events move the state too; which event leads to
+ * which state is listed here (CUSTOMER_SDK_EVENTS, AGENT_SDK_EVENTS) so
+ * both pages apply them the same way.
+ */
+
+/** States that allow a new session to start */
+export const IDLE_STATES = ['idle', 'ended', 'error'];
+
+/** Allowed transitions of the customer page (state -> next states) */
+export const CUSTOMER_TRANSITIONS = {
+  idle: ['consenting', 'fetching_token'],
+  consenting: ['idle', 'fetching_token', 'error'],
+  // fetching_token -> idle: a resume found the session already over
+  fetching_token: ['idle', 'initializing', 'error'],
+  initializing: ['started', 'connected', 'error'],
+  started: ['connected', 'ending', 'ended', 'error'],
+  connected: ['started', 'ending', 'ended', 'error'],
+  ending: ['ended', 'error'],
+  ended: ['consenting', 'idle'],
+  error: ['consenting', 'idle']
+};
+
+/** Allowed transitions of the agent page (state -> next states) */
+export const AGENT_TRANSITIONS = {
+  idle: ['fetching_token'],
+  fetching_token: ['initializing', 'error'],
+  initializing: ['joining', 'error'],
+  joining: ['connected', 'ending', 'error'],
+  connected: ['ending', 'ended', 'error'],
+  ending: ['ended', 'error'],
+  ended: ['fetching_token', 'idle'],
+  error: ['fetching_token', 'idle']
+};
+
+/** SDK session events that move the customer page (event -> state) */
+export const CUSTOMER_SDK_EVENTS = {
+  session_started: 'started',
+  agent_joined: 'connected',
+  agent_left: 'started',
+  session_ended: 'ended'
+};
+
+/** SDK session events that move an agent session (event -> state) */
+export const AGENT_SDK_EVENTS = {
+  session_joined: 'connected',
+  session_left: 'ended',
+  session_ended: 'ended'
+};
+
+/**
+ * Creates the state machine for one page.
+ *
+ * Moving to the current state again is a no-op (the SDK may confirm what
+ * a callback already reported), so only real changes reach onChange.
+ *
+ * @param {object} options
+ * @param {Object<string, string[]>} options.transitions - Transition table
+ * @param {Object<string, string>} [options.sdkEvents={}] - SDK events that
+ *   move the state (CUSTOMER_SDK_EVENTS or AGENT_SDK_EVENTS)
+ * @param {string} [options.initial='idle'] - Starting state
+ * @param {function(string, string): void} [options.onChange] - Called with
+ *   the new and the previous state
+ * @param {string} [options.logPrefix='[State]'] - Console prefix
+ * @returns {{readonly state: string, can: function(string): boolean, transition: function(string): void, tryTransition: function(string): boolean, followSdkEvent: function(string): boolean, isIdle: function(): boolean}}
+ *
+ * @example
+ * const sessionState = createSessionState({ transitions: AGENT_TRANSITIONS });
+ * sessionState.transition('fetching_token');
+ * sessionState.transition('connected'); // throws: fetching_token -> connected
+ */
+export function createSessionState({
+  transitions,
+  sdkEvents = {},
+  initial = 'idle',
+  onChange,
+  logPrefix = '[State]'
+}) {
+  let state = initial;
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /**
+     * Checks whether the page may move to a state now.
+     * @param {string} next - Target state
+     * @returns {boolean}
+     */
+    can(next) {
+      return next === state || (transitions[state] || []).includes(next);
+    },
+
+    /**
+     * Moves to a state.
+     * @param {string} next - Target state
+     * @throws {Error} If the transition is not allowed from the current state
+     */
+    transition(next) {
+      if (next === state) {
+        return;
+      }
+      if (!this.can(next)) {
+        throw new Error(`Invalid session state transition: ${state} -> ${next}`);
+      }
+      const previous = state;
+      state = next;
+      console.log(logPrefix, `State: ${previous} -> ${next}`);
+      onChange?.(next, previous);
+    },
+
+    /**
+     * Moves to a state for something that already happened. SDK events
+     * can arrive out of order (e.g. after a failed start), so a transition
+     * the table does not allow is logged and ignored rather than thrown.
+     * @param {string} next - Target state
+     * @returns {boolean} Whether the page is now in that state
+     */
+    tryTransition(next) {
+      if (!this.can(next)) {
+        console.warn(logPrefix, `Ignoring state change ${state} -> ${next}`);
+        return false;
+      }
+      this.transition(next);
+      return true;
+    },
+
+    /**
+     * Applies an SDK session event listed in sdkEvents.
+     * @param {string} event - SDK event name, e.g. 'agent_joined'
+     * @returns {boolean} Whether the event moved the page to its state
+     */
+    followSdkEvent(event) {
+      return Boolean(sdkEvents[event]) && this.tryTransition(sdkEvents[event]);
+    },
+
+    /** Whether no session is running or being set up */
+    isIdle() {
+      return IDLE_STATES.includes(state);
+    }
+  };
+}
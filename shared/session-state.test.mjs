@@ -0,0 +1,286 @@
+/**
+ * Session state machines driven by a stub SDK session.
+ *
+ * The stub stands in for the object that ZoomCobrowseSDK.init() and
+ * agent.join() hand to the pages: it records listeners with on() and
+ * lets the test emit the SDK events. Each listener hands its event to
+ * followSdkEvent(), as the pages' listeners do, so the event-to-state
+ * mapping (CUSTOMER_SDK_EVENTS, AGENT_SDK_EVENTS) and the check against
+ * the transition table are the pages' own.
+ *
+ * Run with: npm test
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSessionState,
+  CUSTOMER_TRANSITIONS,
+  CUSTOMER_SDK_EVENTS,
+  AGENT_TRANSITIONS,
+  AGENT_SDK_EVENTS,
+  IDLE_STATES
+} from './session-state.js';
+
+/** Stub of the SDK session object: on() like the SDK, emit() for the test */
+function createStubSession() {
+  const listeners = new Map();
+  return {
+    on(type, listener) {
+      if (!listeners.has(type)) {
+        listeners.set(type, []);
+      }
+      listeners.get(type).push(listener);
+    },
+    emit(type, payload) {
+      for (const listener of listeners.get(type) || []) {
+        listener(payload);
+      }
+    }
+  };
+}
+
+/** Registers a listener per SDK event the page follows */
+function listen(session, sessionState, sdkEvents) {
+  for (const type of Object.keys(sdkEvents)) {
+    session.on(type, () => sessionState.followSdkEvent(type));
+  }
+}
+
+describe('customer session state', () => {
+  let session;
+  let sessionState;
+  let changes;
+
+  beforeEach(() => {
+    changes = [];
+    session = createStubSession();
+    sessionState = createSessionState({
+      transitions: CUSTOMER_TRANSITIONS,
+      sdkEvents: CUSTOMER_SDK_EVENTS,
+      onChange: (state, previous) => changes.push(`${previous}->${state}`),
+      logPrefix: '[Test]'
+    });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  /** startSession() up to session.start(), then the SDK takes over */
+  function start() {
+    sessionState.transition('consenting');
+    sessionState.transition('fetching_token');
+    sessionState.transition('initializing');
+    listen(session, sessionState, CUSTOMER_SDK_EVENTS);
+  }
+
+  test('follows the SDK events through a whole session', () => {
+    start();
+    session.emit('session_started');
+    assert.equal(sessionState.state, 'started');
+    session.emit('agent_joined', { userName: 'Demo Agent' });
+    assert.equal(sessionState.state, 'connected');
+    session.emit('agent_left');
+    assert.equal(sessionState.state, 'started');
+    session.emit('agent_joined', { userName: 'Demo Agent' });
+    session.emit('session_ended', { reason: 'customer_ended' });
+    assert.equal(sessionState.state, 'ended');
+    assert.deepEqual(changes, [
+      'idle->consenting',
+      'consenting->fetching_token',
+      'fetching_token->initializing',
+      'initializing->started',
+      'started->connected',
+      'connected->started',
+      'started->connected',
+      'connected->ended'
+    ]);
+  });
+
+  test('goes straight to connected when an agent joins a resumed session', () => {
+    start();
+    session.emit('agent_joined');
+    assert.equal(sessionState.state, 'connected');
+  });
+
+  test('reaches ended from ending when the SDK confirms the end', () => {
+    start();
+    session.emit('session_started');
+    sessionState.transition('ending');
+    session.emit('session_ended');
+    assert.equal(sessionState.state, 'ended');
+  });
+
+  test('ignores and logs SDK events the table does not allow', () => {
+    start();
+    session.emit('session_ended');
+    assert.equal(sessionState.state, 'initializing');
+    assert.equal(console.warn.mock.calls.length, 1);
+    assert.match(console.warn.mock.calls[0].arguments[1], /initializing -> ended/);
+    assert.equal(sessionState.followSdkEvent('session_ended'), false);
+  });
+
+  test('ignores SDK events it does not follow', () => {
+    start();
+    assert.equal(sessionState.followSdkEvent('session_error'), false);
+    assert.equal(sessionState.followSdkEvent('session_joined'), false);
+    assert.equal(sessionState.state, 'initializing');
+  });
+
+  test('does not report an event that repeats the current state', () => {
+    start();
+    session.emit('session_started');
+    session.emit('session_started');
+    assert.deepEqual(changes.slice(-1), ['initializing->started']);
+  });
+
+  test('refuses illegal transitions', () => {
+    assert.equal(sessionState.can('initializing'), false);
+    assert.throws(
+      () => sessionState.transition('initializing'),
+      { message: 'Invalid session state transition: idle -> initializing' }
+    );
+    assert.equal(sessionState.tryTransition('initializing'), false);
+    assert.equal(sessionState.state, 'idle');
+    assert.deepEqual(changes, []);
+
+    start();
+    session.emit('session_started');
+    assert.throws(() => sessionState.transition('fetching_token'), /started -> fetching_token/);
+    assert.throws(() => sessionState.transition('consenting'), /started -> consenting/);
+  });
+
+  test('is idle only when no session is running or being set up', () => {
+    assert.equal(sessionState.isIdle(), true);
+    sessionState.transition('consenting');
+    assert.equal(sessionState.isIdle(), false);
+    sessionState.transition('fetching_token');
+    sessionState.transition('initializing');
+    listen(session, sessionState, CUSTOMER_SDK_EVENTS);
+    session.emit('session_started');
+    assert.equal(sessionState.isIdle(), false);
+    session.emit('session_ended');
+    assert.equal(sessionState.isIdle(), true);
+  });
+
+  test('starts a new session after an error', () => {
+    start();
+    sessionState.transition('error');
+    assert.equal(sessionState.isIdle(), true);
+    assert.equal(sessionState.can('consenting'), true);
+    assert.equal(sessionState.can('started'), false);
+  });
+});
+
+describe('agent session state', () => {
+  let session;
+  let sessionState;
+  let changes;
+
+  beforeEach(() => {
+    changes = [];
+    session = createStubSession();
+    sessionState = createSessionState({
+      transitions: AGENT_TRANSITIONS,
+      sdkEvents: AGENT_SDK_EVENTS,
+      onChange: (state, previous) => changes.push(`${previous}->${state}`),
+      logPrefix: '[Test]'
+    });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  /** joinSession() up to agent.join(), then the SDK takes over */
+  function join() {
+    sessionState.transition('fetching_token');
+    sessionState.transition('initializing');
+    sessionState.transition('joining');
+    listen(session, sessionState, AGENT_SDK_EVENTS);
+  }
+
+  test('follows the SDK events through a whole session', () => {
+    join();
+    session.emit('session_joined');
+    assert.equal(sessionState.state, 'connected');
+    session.emit('session_ended', { reason: 'customer_ended' });
+    assert.equal(sessionState.state, 'ended');
+    assert.deepEqual(changes, [
+      'idle->fetching_token',
+      'fetching_token->initializing',
+      'initializing->joining',
+      'joining->connected',
+      'connected->ended'
+    ]);
+  });
+
+  test('ends when the agent leaves', () => {
+    join();
+    session.emit('session_joined');
+    sessionState.transition('ending');
+    session.emit('session_left');
+    assert.equal(sessionState.state, 'ended');
+  });
+
+  test('ignores SDK events the table does not allow', () => {
+    join();
+    session.emit('session_ended');
+    assert.equal(sessionState.state, 'joining');
+    assert.equal(console.warn.mock.calls.length, 1);
+  });
+
+  test('ignores customer-side SDK events', () => {
+    join();
+    assert.equal(sessionState.followSdkEvent('agent_joined'), false);
+    assert.equal(sessionState.followSdkEvent('session_started'), false);
+    assert.equal(sessionState.state, 'joining');
+  });
+
+  test('refuses illegal transitions', () => {
+    assert.throws(
+      () => sessionState.transition('connected'),
+      { message: 'Invalid session state transition: idle -> connected' }
+    );
+    assert.equal(sessionState.can('consenting'), false);
+
+    sessionState.transition('fetching_token');
+    assert.throws(() => sessionState.transition('joining'), /fetching_token -> joining/);
+
+    join();
+    session.emit('session_joined');
+    assert.throws(() => sessionState.transition('fetching_token'), /connected -> fetching_token/);
+    assert.equal(sessionState.state, 'connected');
+  });
+
+  test('is idle only when no session is running or being set up', () => {
+    assert.equal(sessionState.isIdle(), true);
+    join();
+    assert.equal(sessionState.isIdle(), false);
+    session.emit('session_joined');
+    assert.equal(sessionState.isIdle(), false);
+    session.emit('session_ended');
+    assert.equal(sessionState.isIdle(), true);
+    sessionState.transition('fetching_token');
+    assert.equal(sessionState.isIdle(), false);
+    sessionState.transition('error');
+    assert.equal(sessionState.isIdle(), true);
+  });
+});
+
+test('tables and SDK event maps only name known states', () => {
+  const pages = [
+    [CUSTOMER_TRANSITIONS, CUSTOMER_SDK_EVENTS],
+    [AGENT_TRANSITIONS, AGENT_SDK_EVENTS]
+  ];
+  for (const [transitions, sdkEvents] of pages) {
+    const states = Object.keys(transitions);
+    for (const next of [...Object.values(transitions).flat(), ...Object.values(sdkEvents)]) {
+      assert.ok(states.includes(next), `unknown state ${next}`);
+    }
+    for (const idle of IDLE_STATES) {
+      assert.ok(states.includes(idle), `missing idle state ${idle}`);
+    }
+  }
+});
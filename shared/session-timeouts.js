@@ -0,0 +1,136 @@
+/**
+ * Zoom Cobrowse SDK - Session Timeouts (shared by the customer and agent pages)
+ *
+ * Ends forgotten sessions. Three independent policies, each in seconds
+ * (0 disables it):
+ *
+ * - noAgent: no agent joined within this long of session_started
+ * - idle: no agent present for this long after agent_left
+ * - maxDuration: hard limit on the session length
+ *
+ * `warning` seconds before a timeout, onWarning is called so the page can
+ * show a countdown; onTimeout is called when the time is up. The page
+ * decides what ending means (the customer ends the session, the agent
+ * leaves it) and records TIMEOUT_REASONS[kind] as the end reason.
+ */
+
+/** End reasons recorded for each timeout, distinct from user-initiated ends */
+export const TIMEOUT_REASONS = {
+  no_agent: 'timeout_no_agent',
+  idle: 'timeout_idle',
+  max_duration: 'timeout_max_duration'
+};
+
+/**
+ * Creates the timeout tracker for one session.
+ *
+ * @param {object} options
+ * @param {number} [options.noAgent=0] - Seconds to wait for the first agent
+ * @param {number} [options.idle=0] - Seconds without an agent after agent_left
+ * @param {number} [options.maxDuration=0] - Maximum session length in seconds
+ * @param {number} [options.warning=60] - Seconds of warning before a timeout
+ * @param {function(string, number): void} [options.onWarning] - Called with
+ *   the timeout kind and its deadline (ms timestamp)
+ * @param {function(string): void} [options.onClear] - Called when a warned
+ *   timeout no longer applies (agent joined, extended)
+ * @param {function(string): void} options.onTimeout - Called with the kind
+ *   of timeout that expired
+ * @returns {{sessionStarted: function(number=): void, agentJoined: function(): void, agentLeft: function(): void, extend: function(string): boolean, stop: function(): void}}
+ *
+ * @example
+ * const timeouts = createSessionTimeouts({
+ *   noAgent: 900,
+ *   onTimeout: (kind) => endSession(TIMEOUT_REASONS[kind])
+ * });
+ * timeouts.sessionStarted();
+ */
+export function createSessionTimeouts({
+  noAgent = 0,
+  idle = 0,
+  maxDuration = 0,
+  warning = 60,
+  onWarning,
+  onClear,
+  onTimeout
+}) {
+  const limits = { no_agent: noAgent, idle, max_duration: maxDuration };
+  const timers = {};  // kind -> { warnTimer, endTimer, warned }
+
+  function disarm(kind) {
+    const timer = timers[kind];
+    if (!timer) {
+      return;
+    }
+    clearTimeout(timer.warnTimer);
+    clearTimeout(timer.endTimer);
+    delete timers[kind];
+    if (timer.warned) {
+      onClear?.(kind);
+    }
+  }
+
+  function arm(kind, elapsed = 0) {
+    disarm(kind);
+    if (!limits[kind]) {
+      return;
+    }
+
+    const remaining = Math.max(limits[kind] - elapsed, 0) * 1000;
+    const deadline = Date.now() + remaining;
+    const timer = { warned: false };
+
+    timer.warnTimer = setTimeout(() => {
+      timer.warned = true;
+      onWarning?.(kind, deadline);
+    }, Math.max(remaining - warning * 1000, 0));
+
+    timer.endTimer = setTimeout(() => {
+      delete timers[kind];
+      onTimeout(kind);
+    }, remaining);
+
+    timers[kind] = timer;
+  }
+
+  return {
+    /**
+     * Starts the no-agent and maximum-duration clocks.
+     * @param {number} [startedAt=Date.now()] - When the session started
+     *   (earlier when picking up a resumed session)
+     */
+    sessionStarted(startedAt = Date.now()) {
+      arm('no_agent', (Date.now() - startedAt) / 1000);
+      arm('max_duration', (Date.now() - startedAt) / 1000);
+    },
+
+    /** An agent is present: no-agent and idle timeouts no longer apply */
+    agentJoined() {
+      disarm('no_agent');
+      disarm('idle');
+    },
+
+    /** The agent left: start the idle clock */
+    agentLeft() {
+      arm('idle');
+    },
+
+    /**
+     * Restarts a running no-agent or idle clock ("keep waiting").
+     * The maximum duration cannot be extended.
+     * @param {string} kind - 'no_agent' or 'idle'
+     * @returns {boolean} Whether the clock was restarted
+     */
+    extend(kind) {
+      if (kind === 'max_duration' || !timers[kind]) {
+        return false;
+      }
+      arm(kind);
+      return true;
+    },
+
+    /** Cancels all clocks */
+    stop() {
+      Object.keys(timers).forEach(disarm);
+    }
+  };
+}
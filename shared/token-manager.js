@@ -0,0 +1,156 @@
+/**
+ * Zoom Cobrowse SDK - Token Manager (shared by the customer and agent pages)
+ *
+ * SDK tokens expire after `expiresIn` seconds, but a support session can
+ * run longer than that. The token manager keeps the session's token fresh:
+ *
+ * - fetch() gets the first token and schedules a refresh ahead of expiry
+ * - refresh() exchanges the current token for a new one (same identity
+ *   and PIN) and hands it to onRefresh so the page can re-supply the SDK
+ * - Failed refreshes are retried a few times before onError is called
+ * - stop() cancels the schedule when the session ends
+ */
+
+/** Matches session_error payloads caused by a missing, invalid or expired token */
+const AUTH_ERROR_PATTERN = /token|auth|expired|jwt|signature/i;
+
+/**
+ * Checks whether an SDK session_error payload is auth related, i.e. fixed
+ * by supplying a new token.
+ * @param {object} [payload] - session_error payload from the SDK
+ * @returns {boolean}
+ */
+export function isAuthError(payload) {
+  if (!payload) {
+    return false;
+  }
+  return AUTH_ERROR_PATTERN.test(`${payload.errorMsg || ''} ${payload.errorCode || ''}`);
+}
+
+/**
+ * Creates a token manager for one session.
+ *
+ * @param {object} options
+ * @param {function(...*): Promise<object>} options.fetchToken - Fetches the
+ *   first token response ({ token, expiresIn, ... })
+ * @param {function(string): Promise<object>} options.refreshToken - Exchanges
+ *   the current token for a new token response
+ * @param {function(object): void} [options.onRefresh] - Called with each
+ *   refreshed token response
+ * @param {function(Error): void} [options.onError] - Called when refreshing
+ *   has failed for good
+ * @param {number} [options.refreshMargin=300] - Seconds before expiry to refresh
+ * @param {number} [options.retryDelay=15] - Seconds between failed refresh attempts
+ * @param {number} [options.maxRetries=3] - Refresh attempts before giving up
+ * @param {string} [options.logPrefix='[Token]'] - Console prefix
+ * @returns {{fetch: function(...*): Promise<object>, refresh: function(): Promise<object>, stop: function(): void, readonly token: ?string, readonly expiresAt: ?number}}
+ *
+ * @example
+ * const tokens = createTokenManager({
+ *   fetchToken: fetchSdkToken,
+ *   refreshToken: (token) => refreshSdkToken(token, pinCode),
+ *   onRefresh: ({ token }) => session.updateToken(token)
+ * });
+ * const { token } = await tokens.fetch();
+ */
+export function createTokenManager({
+  fetchToken,
+  refreshToken,
+  onRefresh,
+  onError,
+  refreshMargin = 300,
+  retryDelay = 15,
+  maxRetries = 3,
+  logPrefix = '[Token]'
+}) {
+  let current = null;
+  let expiresAt = null;
+  let timer = null;
+  let pending = null;
+  let failures = 0;
+  let stopped = false;
+
+  function schedule(seconds) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      manager.refresh().catch(() => {});
+    }, seconds * 1000);
+  }
+
+  function accept(data) {
+    current = data;
+    expiresAt = Date.now() + data.expiresIn * 1000;
+    failures = 0;
+    // Short-lived tokens refresh halfway through instead
+    schedule(Math.max(data.expiresIn - refreshMargin, data.expiresIn / 2));
+    return data;
+  }
+
+  const manager = {
+    /**
+     * Fetches the first token and starts the refresh schedule.
+     * Arguments are passed on to fetchToken.
+     */
+    async fetch(...args) {
+      stopped = false;
+      return accept(await fetchToken(...args));
+    },
+
+    /**
+     * Refreshes the token now. Concurrent calls share one request.
+     */
+    refresh() {
+      if (!current) {
+        return Promise.reject(new Error('No token to refresh'));
+      }
+      if (pending) {
+        return pending;
+      }
+
+      pending = refreshToken(current.token)
+        .then((data) => {
+          if (stopped) {
+            return data;
+          }
+          accept(data);
+          console.log(logPrefix, 'Token refreshed, expires in', data.expiresIn, 's');
+          onRefresh?.(data);
+          return data;
+        })
+        .catch((error) => {
+          if (!stopped) {
+            failures += 1;
+            console.warn(logPrefix, `Token refresh failed (${failures}/${maxRetries}):`, error);
+            if (failures < maxRetries && Date.now() < expiresAt) {
+              schedule(retryDelay);
+            } else {
+              onError?.(error);
+            }
+          }
+          throw error;
+        })
+        .finally(() => {
+          pending = null;
+        });
+
+      return pending;
+    },
+
+    /** Cancels the refresh schedule */
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    get token() {
+      return current ? current.token : null;
+    },
+
+    get expiresAt() {
+      return expiresAt;
+    }
+  };
+
+  return manager;
+}